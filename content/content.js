@@ -10,6 +10,9 @@ console.log('🌐 Hostname:', window.location.hostname);
 
 // Session state (reset on page reload)
 let sessionHiddenCount = 0;
+let sessionPromotedCount = 0; // Promoted posts, also part of sessionHiddenCount
+let sessionCommentCount = 0; // Collapsed comments, counted apart from posts
+let activeProfileId = 'default'; // Profile currentConfig was loaded from
 let currentConfig = {
   mode: 'blacklist',
   paused: false,
@@ -17,13 +20,32 @@ let currentConfig = {
 };
 
 // Processing state
+let keywordStems = new Map();
 let normalizedWordSet = new Set();
+let regexRules = [];
+let keywordMatchers = [];
+let symbolRules = [];
+let ruleExpressions = [];
+let exceptionFilters = null;
+let allowFilters = null;
+let headlineFilters = null;
+let mutedAuthorKeys = new Set();
+let allowedAuthorKeys = new Set();
+let stemmingLanguages = getStemmingLanguages();
 let observer = null;
 let processingTimeout = null;
 let isProcessing = false;
 let pendingPosts = new Set();
+let pendingCommentNodes = new Set(); // Nodes added since the last comment pass
+let commentTimeout = null;
 let performanceObserver = null;
 
+// Score breakdown and match explanations of each processed post, for the debug API
+const postScores = new WeakMap();
+
+// Text each comment was last checked with, so it is checked again when replies or "see more" change it
+const commentTexts = new WeakMap();
+
 /**
  * Initialize the extension
  */
@@ -79,6 +101,9 @@ async function init() {
     // Set up message listener
     setupMessageListener();
     
+    // Offer "Mute this author" in post menus
+    setupMuteAuthorMenu();
+    
     // Process existing posts
     console.log('[LinkedIn Filter] 📝 Processing existing posts...');
     await processAllExistingPosts();
@@ -144,15 +169,55 @@ async function loadConfig() {
       }
     };
     
-    currentConfig = profiles[currentProfileId] || profiles.default;
-    normalizedWordSet = generateNormalizedWordSet(currentConfig.words);
+    activeProfileId = profiles[currentProfileId] ? currentProfileId : 'default';
+    currentConfig = profiles[activeProfileId];
+    stemmingLanguages = getStemmingLanguages(currentConfig.stemmingLanguages);
+    keywordStems = mapKeywordStems(currentConfig.words, currentConfig.keywordOptions, stemmingLanguages);
+    normalizedWordSet = new Set(keywordStems.keys());
+    getWordMatcher(keywordStems); // Compile now rather than on the first post
+    regexRules = compileRegexRules(currentConfig.words);
+    keywordMatchers = compileKeywordMatchers(currentConfig.words, currentConfig.keywordOptions);
+    symbolRules = compileSymbolRules(currentConfig.words);
+    ruleExpressions = compileRuleExpressions(currentConfig.rules || [], stemmingLanguages);
+    allowFilters = compileKeywordFilters(currentConfig.allowWords || [], currentConfig.keywordOptions, stemmingLanguages);
+    exceptionFilters = compileExceptionFilters(
+      collectExceptionTerms(getAllKeywords(), currentConfig.keywordOptions, currentConfig.exceptions),
+      stemmingLanguages
+    );
+    headlineFilters = compileKeywordFilters(currentConfig.headlineWords || [], {}, stemmingLanguages);
+    mutedAuthorKeys = buildAuthorKeySet(currentConfig.mutedAuthors);
+    allowedAuthorKeys = buildAuthorKeySet(currentConfig.allowedAuthors);
     
     console.log('[LinkedIn Filter] ✅ Configuration loaded successfully:', {
       currentProfile: currentProfileId,
       mode: currentConfig.mode,
       paused: currentConfig.paused,
       wordsCount: currentConfig.words.length,
-      normalizedWordsCount: normalizedWordSet.size
+      normalizedWordsCount: normalizedWordSet.size,
+      regexRulesCount: regexRules.length,
+      keywordMatchersCount: keywordMatchers.length,
+      symbolRulesCount: symbolRules.length,
+      stemmingLanguages,
+      ruleExpressionsCount: ruleExpressions.length,
+      exceptionsCount: (currentConfig.exceptions || []).length,
+      allowWordsCount: (currentConfig.allowWords || []).length,
+      hidePromoted: Boolean(currentConfig.hidePromoted),
+      hiddenReasons: currentConfig.hiddenReasons || [],
+      maxPostAgeHours: currentConfig.maxPostAgeHours || 0,
+      filterComments: Boolean(currentConfig.filterComments),
+      contentTypes: currentConfig.contentTypes || [],
+      contentTypeMode: currentConfig.contentTypeMode || DEFAULT_CONTENT_TYPE_MODE,
+      postLanguages: currentConfig.postLanguages || [],
+      postLanguageMode: currentConfig.postLanguageMode || DEFAULT_POST_LANGUAGE_MODE,
+      repostScope: currentConfig.repostScope || DEFAULT_REPOST_SCOPE,
+      hidePlainReposts: Boolean(currentConfig.hidePlainReposts),
+      mutedAuthorsCount: mutedAuthorKeys.size,
+      allowedAuthorsCount: allowedAuthorKeys.size,
+      headlineWordsCount: (currentConfig.headlineWords || []).length,
+      hiddenActorTypes: currentConfig.hiddenActorTypes || [],
+      allowedDegrees: currentConfig.allowedDegrees || [],
+      keepFollowedAuthors: Boolean(currentConfig.keepFollowedAuthors),
+      scoreThreshold: getScoreThreshold(currentConfig.scoreThreshold)
     });
     
     // Verify configuration persistence
@@ -172,7 +237,17 @@ async function loadConfig() {
       paused: false,
       words: []
     };
+    keywordStems = new Map();
     normalizedWordSet = new Set();
+    regexRules = [];
+    keywordMatchers = [];
+    symbolRules = [];
+    ruleExpressions = [];
+    exceptionFilters = null;
+    allowFilters = compileKeywordFilters([]);
+    headlineFilters = compileKeywordFilters([]);
+    mutedAuthorKeys = new Set();
+    allowedAuthorKeys = new Set();
   }
 }
 
@@ -180,9 +255,22 @@ async function loadConfig() {
  * Set up storage change listener
  */
 function setupStorageListener() {
-  chrome.storage.onChanged.addListener((changes, namespace) => {
+  chrome.storage.onChanged.addListener(async (changes, namespace) => {
     if (namespace !== 'local') return;
     
+    // A profile switch only writes currentProfileId, so every setting is read again from the new profile
+    if (changes.currentProfileId) {
+      const oldMode = currentConfig.mode;
+      await loadConfig();
+      
+      if (oldMode !== currentConfig.mode && oldMode !== 'blacklist') {
+        removeAllHighlights();
+      }
+      console.debug(`[LinkedIn Filter] Switched to profile ${activeProfileId}`);
+      reprocessAllPosts();
+      return;
+    }
+    
     let configChanged = false;
     
     if (changes.mode) {
@@ -190,10 +278,10 @@ function setupStorageListener() {
       currentConfig.mode = changes.mode.newValue;
       configChanged = true;
       
-      // Remove highlights when switching from whitelist to blacklist
-      if (oldMode === 'whitelist' && currentConfig.mode === 'blacklist') {
+      // Remove highlights when switching away from a mode that highlights
+      if (oldMode !== currentConfig.mode && oldMode !== 'blacklist') {
         removeAllHighlights();
-        console.log('[LinkedIn Filter] Removed highlights (switched to blacklist)');
+        console.debug(`[LinkedIn Filter] Removed highlights (switched to ${currentConfig.mode})`);
       }
     }
     
@@ -202,13 +290,154 @@ function setupStorageListener() {
       configChanged = true;
     }
     
-    if (changes.words) {
-      currentConfig.words = changes.words.newValue || [];
-      normalizedWordSet = generateNormalizedWordSet(currentConfig.words);
+    if (changes.scoreThreshold) {
+      currentConfig.scoreThreshold = changes.scoreThreshold.newValue;
       configChanged = true;
     }
     
-
+    if (changes.hybridPrecedence) {
+      currentConfig.hybridPrecedence = changes.hybridPrecedence.newValue;
+      configChanged = true;
+    }
+    
+    if (changes.hybridFallback) {
+      currentConfig.hybridFallback = changes.hybridFallback.newValue;
+      configChanged = true;
+    }
+    
+    if (changes.filterComments) {
+      currentConfig.filterComments = changes.filterComments.newValue;
+      configChanged = true;
+    }
+    
+    if (changes.maxPostAgeHours) {
+      currentConfig.maxPostAgeHours = changes.maxPostAgeHours.newValue || 0;
+      configChanged = true;
+    }
+    
+    if (changes.contentTypes) {
+      currentConfig.contentTypes = changes.contentTypes.newValue || [];
+      configChanged = true;
+    }
+    
+    if (changes.contentTypeMode) {
+      currentConfig.contentTypeMode = changes.contentTypeMode.newValue || DEFAULT_CONTENT_TYPE_MODE;
+      configChanged = true;
+    }
+    
+    if (changes.postLanguages) {
+      currentConfig.postLanguages = changes.postLanguages.newValue || [];
+      configChanged = true;
+    }
+    
+    if (changes.postLanguageMode) {
+      currentConfig.postLanguageMode = changes.postLanguageMode.newValue || DEFAULT_POST_LANGUAGE_MODE;
+      configChanged = true;
+    }
+    
+    if (changes.repostScope) {
+      currentConfig.repostScope = changes.repostScope.newValue || DEFAULT_REPOST_SCOPE;
+      configChanged = true;
+    }
+    
+    if (changes.hidePlainReposts) {
+      currentConfig.hidePlainReposts = changes.hidePlainReposts.newValue;
+      configChanged = true;
+    }
+    
+    if (changes.hiddenReasons) {
+      currentConfig.hiddenReasons = changes.hiddenReasons.newValue || [];
+      configChanged = true;
+    }
+    
+    if (changes.hidePromoted) {
+      currentConfig.hidePromoted = changes.hidePromoted.newValue;
+      configChanged = true;
+    }
+    
+    if (changes.mutedAuthors) {
+      currentConfig.mutedAuthors = changes.mutedAuthors.newValue || [];
+      mutedAuthorKeys = buildAuthorKeySet(currentConfig.mutedAuthors);
+      configChanged = true;
+    }
+    
+    if (changes.allowedAuthors) {
+      currentConfig.allowedAuthors = changes.allowedAuthors.newValue || [];
+      allowedAuthorKeys = buildAuthorKeySet(currentConfig.allowedAuthors);
+      configChanged = true;
+    }
+    
+    if (changes.hiddenActorTypes) {
+      currentConfig.hiddenActorTypes = changes.hiddenActorTypes.newValue || [];
+      configChanged = true;
+    }
+    
+    if (changes.allowedDegrees) {
+      currentConfig.allowedDegrees = changes.allowedDegrees.newValue || [];
+      configChanged = true;
+    }
+    
+    if (changes.keepFollowedAuthors) {
+      currentConfig.keepFollowedAuthors = changes.keepFollowedAuthors.newValue;
+      configChanged = true;
+    }
+    
+    if (changes.keywordOptions) {
+      currentConfig.keywordOptions = changes.keywordOptions.newValue || {};
+    }
+    
+    if (changes.stemmingLanguages) {
+      currentConfig.stemmingLanguages = changes.stemmingLanguages.newValue;
+      stemmingLanguages = getStemmingLanguages(currentConfig.stemmingLanguages);
+    }
+    
+    if (changes.words || changes.keywordOptions || changes.stemmingLanguages) {
+      if (changes.words) {
+        currentConfig.words = changes.words.newValue || [];
+      }
+      keywordStems = mapKeywordStems(currentConfig.words, currentConfig.keywordOptions, stemmingLanguages);
+      normalizedWordSet = new Set(keywordStems.keys());
+      getWordMatcher(keywordStems);
+      regexRules = compileRegexRules(currentConfig.words);
+      keywordMatchers = compileKeywordMatchers(currentConfig.words, currentConfig.keywordOptions);
+      symbolRules = compileSymbolRules(currentConfig.words);
+      configChanged = true;
+    }
+    
+    if (changes.rules || changes.stemmingLanguages) {
+      if (changes.rules) {
+        currentConfig.rules = changes.rules.newValue || [];
+      }
+      ruleExpressions = compileRuleExpressions(currentConfig.rules || [], stemmingLanguages);
+      configChanged = true;
+    }
+    
+    if (changes.allowWords || changes.keywordOptions || changes.stemmingLanguages) {
+      if (changes.allowWords) {
+        currentConfig.allowWords = changes.allowWords.newValue || [];
+      }
+      allowFilters = compileKeywordFilters(currentConfig.allowWords || [], currentConfig.keywordOptions, stemmingLanguages);
+      configChanged = true;
+    }
+    
+    if (changes.headlineWords || changes.stemmingLanguages) {
+      if (changes.headlineWords) {
+        currentConfig.headlineWords = changes.headlineWords.newValue || [];
+      }
+      headlineFilters = compileKeywordFilters(currentConfig.headlineWords || [], {}, stemmingLanguages);
+      configChanged = true;
+    }
+    
+    if (changes.exceptions || changes.words || changes.allowWords || changes.keywordOptions || changes.stemmingLanguages) {
+      if (changes.exceptions) {
+        currentConfig.exceptions = changes.exceptions.newValue || [];
+      }
+      exceptionFilters = compileExceptionFilters(
+        collectExceptionTerms(getAllKeywords(), currentConfig.keywordOptions, currentConfig.exceptions),
+        stemmingLanguages
+      );
+      configChanged = true;
+    }
     
     if (configChanged) {
       console.debug('[LinkedIn Filter] Config updated:', currentConfig);
@@ -229,6 +458,10 @@ function setupMessageListener() {
         sendResponse(sessionHiddenCount);
         break;
         
+      case 'getCounts':
+        sendResponse({ hidden: sessionHiddenCount, promoted: sessionPromotedCount, comments: sessionCommentCount });
+        break;
+        
       case 'reprocess':
         reprocessAllPosts();
         sendResponse(true);
@@ -246,13 +479,59 @@ function setupMessageListener() {
   });
 }
 
+/**
+ * Get the compiled filters of the current profile
+ * @returns {Object} Filters for scorePost and highlightFoundKeywords
+ */
+function getActiveFilters() {
+  return {
+    wordSet: normalizedWordSet,
+    keywordStems,
+    regexRules,
+    keywordMatchers,
+    symbolRules,
+    ruleExpressions,
+    keywordOptions: currentConfig.keywordOptions || {},
+    exceptionFilters,
+    languages: stemmingLanguages
+  };
+}
+
+/**
+ * Get the compiled allow list of a hybrid profile, with the profile's exceptions
+ * @returns {Object} Filters for scorePost and highlightFoundKeywords
+ */
+function getAllowFilters() {
+  return { ...allowFilters, exceptionFilters };
+}
+
+/**
+ * Get every keyword of the current profile: the main list and the hybrid allow list
+ * @returns {string[]}
+ */
+function getAllKeywords() {
+  return [...(currentConfig.words || []), ...(currentConfig.allowWords || [])];
+}
+
+/**
+ * Check if the current profile has anything to match against
+ * @returns {boolean}
+ */
+function hasActiveFilters() {
+  const hasBlockFilters = normalizedWordSet.size > 0 || regexRules.length > 0 || keywordMatchers.length > 0 ||
+    symbolRules.length > 0 || ruleExpressions.length > 0;
+  
+  return hasBlockFilters || (currentConfig.mode === 'hybrid' && hasKeywordFilters(allowFilters));
+}
+
 /**
  * Determine if a post should be hidden based on current configuration
- * @param {boolean} hasMatch Whether the post matches any keywords
+ * @param {boolean} hasMatch Whether the post's score reaches the threshold
+ * @param {boolean} [hasAllowMatch] Whether the allow list of a hybrid profile matches
  * @returns {boolean} True if post should be hidden
  */
-function shouldHidePost(hasMatch) {
-  if (currentConfig.paused || normalizedWordSet.size === 0) {
+function shouldHidePost(hasMatch, hasAllowMatch = false) {
+  if (currentConfig.paused || !hasActiveFilters()) {
     return false;
   }
   
@@ -261,11 +540,474 @@ function shouldHidePost(hasMatch) {
       return hasMatch === true;
     case 'whitelist':
       return hasMatch === false;
+    case 'hybrid':
+      return shouldHideHybridPost(hasMatch, hasAllowMatch);
     default:
       return false;
   }
 }
 
+/**
+ * Decide if a post is hidden in hybrid mode
+ * The list checked first wins: with the allow list first, a post is shown if the
+ * allow list matches, otherwise hidden if the block list matches. Posts neither
+ * list matches follow the profile's fallback (shown by default).
+ * @param {boolean} hasBlockMatch Whether the block list (keywords and rules) matches
+ * @param {boolean} hasAllowMatch Whether the allow list matches
+ * @returns {boolean} True if post should be hidden
+ */
+function shouldHideHybridPost(hasBlockMatch, hasAllowMatch) {
+  const precedence = currentConfig.hybridPrecedence || DEFAULT_HYBRID_PRECEDENCE;
+  const order = precedence === 'block' ? ['block', 'allow'] : ['allow', 'block'];
+  
+  for (const list of order) {
+    if (list === 'allow' && hasAllowMatch) return false;
+    if (list === 'block' && hasBlockMatch) return true;
+  }
+  
+  return (currentConfig.hybridFallback || DEFAULT_HYBRID_FALLBACK) === 'hide';
+}
+
+/**
+ * Look an author up in the profile's author lists
+ * An author in both lists is always shown
+ * @param {Object|null} author Author from extractPostAuthor
+ * @returns {'allowed'|'muted'|null}
+ */
+function getAuthorListing(author) {
+  if (!author) return null;
+  
+  if (author.keys.some(key => allowedAuthorKeys.has(key))) return 'allowed';
+  if (author.keys.some(key => mutedAuthorKeys.has(key))) return 'muted';
+  return null;
+}
+
+/**
+ * Find the author headline keywords of the profile in a headline
+ * @param {string} headline Headline under the author's name, from extractPostActor
+ * @returns {Object[]} Matches (see findPostMatches)
+ */
+function findHeadlineMatches(headline) {
+  if (!headline || !hasKeywordFilters(headlineFilters)) return [];
+  
+  return findPostMatches(normalizeText(headline), headline, headlineFilters);
+}
+
+/**
+ * Check if a post should be hidden for its author's connection degree
+ * Posts that show no degree (pages, your own posts) are never hidden for it, and with
+ * keepFollowedAuthors neither are posts of people you follow
+ * @param {Object|null} actor Actor from extractPostActor
+ * @returns {boolean}
+ */
+function shouldHideDegree(actor) {
+  const allowedDegrees = currentConfig.allowedDegrees || [];
+  if (allowedDegrees.length === 0 || !actor || !actor.degree || allowedDegrees.includes(actor.degree)) return false;
+  
+  return !(currentConfig.keepFollowedAuthors && actor.following === true);
+}
+
+/**
+ * Add an author to the muted authors of the profile currentConfig was loaded from
+ * The profiles are read right before the write and only that profile changes, so the
+ * window in which a popup save can overwrite it stays as small as one get/set
+ * @param {{name: string, url: string|null, urn: string|null}} author Author from extractPostAuthor
+ */
+async function muteAuthor(author) {
+  const entry = author.url || author.urn;
+  const profileId = activeProfileId;
+  
+  try {
+    const { profiles = {}, currentProfileId = 'default' } = await chrome.storage.local.get(['profiles', 'currentProfileId']);
+    const profile = profiles[profileId];
+    if (!profile) {
+      console.warn(`[LinkedIn Filter] Profile ${profileId} no longer exists, author not muted`);
+      return;
+    }
+    
+    const mutedAuthors = [...new Set([...(profile.mutedAuthors || []), entry])];
+    profiles[profileId] = { ...profile, mutedAuthors };
+    
+    // The top-level keys mirror the current profile; they reach the storage listener, which reprocesses the feed
+    await chrome.storage.local.set(profileId === currentProfileId ? { profiles, mutedAuthors } : { profiles });
+    console.debug(`[LinkedIn Filter] 🔇 Muted author ${author.name || entry}`);
+  } catch (error) {
+    console.error('[LinkedIn Filter] Failed to mute author:', error);
+  }
+}
+
+/**
+ * Offer "Mute this author" in the control menu ("...") of every post
+ * LinkedIn renders the menu when it opens, so the item is added after each click on
+ * a menu trigger, retrying while the dropdown appears
+ */
+function setupMuteAuthorMenu() {
+  const triggerSelector = '.feed-shared-control-menu__trigger, button[aria-label*="control menu" i], button[aria-label*="menu de controle" i]';
+  
+  document.addEventListener('click', (event) => {
+    const trigger = event.target instanceof Element ? event.target.closest(triggerSelector) : null;
+    if (!trigger) return;
+    
+    const postElement = trigger.closest('[data-urn], [data-id]');
+    const author = postElement ? extractPostAuthor(postElement) : null;
+    if (!author) return;
+    
+    [100, 300, 600].forEach(delay => {
+      setTimeout(() => addMuteAuthorMenuItem(postElement, author, () => muteAuthor(author)), delay);
+    });
+  }, true);
+}
+
+/**
+ * Shorten match explanations for the data-lkw-matches attribute
+ * @param {Object[]} matches Matches from scorePost
+ * @returns {Object[]} Entry, type, variation and [start, end] offsets of each match
+ */
+function summarizeMatches(matches) {
+  return matches.map(match => ({
+    entry: match.entry,
+    type: match.type,
+    variation: match.variation,
+    offsets: match.occurrences.map(occurrence => [occurrence.start, occurrence.end])
+  }));
+}
+
+/**
+ * Log why each hidden post was hidden
+ * @returns {Object[]} One row per match of a hidden post
+ */
+function explainHiddenPosts() {
+  const rows = [];
+  
+  getAllFeedPosts().forEach(post => {
+    const result = postScores.get(post);
+    if (!result || !result.hidden) return;
+    
+    const id = post.getAttribute('data-urn') || post.getAttribute('data-id') || 'unknown';
+    
+    if (result.authorListing === 'muted') {
+      rows.push({ id, entry: result.author.url || result.author.urn, type: 'author', variation: result.author.name, found: '' });
+    }
+    
+    POST_CHECKS.filter(check => result[check.flag]).forEach(check => {
+      check.explain(result).forEach(row => rows.push({ id, found: '', ...row }));
+    });
+    
+    result.matches.forEach(match => {
+      rows.push({
+        id,
+        entry: match.entry,
+        type: match.type,
+        variation: match.variation,
+        found: match.occurrences.map(occurrence => `"${occurrence.text}" @${occurrence.start}-${occurrence.end}`).join(', ')
+      });
+    });
+  });
+  
+  console.table(rows);
+  return rows;
+}
+
+/**
+ * Checks that hide a post for something other than its text, in the order processPost runs them
+ * Each one reads the facts gathered about the post and returns a value for its postScores
+ * flag when the post should be hidden (true, or what explainHiddenPosts shows), else a falsy value
+ * Content checks need the post text, so they only run once "see more" is expanded
+ */
+const POST_CHECKS = [
+  {
+    // Actor types (people, company or showcase pages, groups) the profile hides
+    flag: 'hiddenActorType',
+    match: ({ actor }) => Boolean(actor) && (currentConfig.hiddenActorTypes || []).includes(actor.type),
+    describe: ({ actor }) => `by ${actor.type} ${actor.name}`,
+    explain: ({ actor }) => [{ entry: actor.type, type: 'actorType', variation: actor.name }]
+  },
+  {
+    // Connection degrees the profile does not allow, unless the author is followed and the profile keeps them
+    flag: 'hiddenDegree',
+    match: ({ actor }) => shouldHideDegree(actor),
+    describe: ({ actor }) => `by ${actor.degree} degree connection ${actor.name}`,
+    explain: ({ actor }) => [{ entry: `${actor.degree} degree`, type: 'degree', variation: actor.following ? 'following' : '' }]
+  },
+  {
+    // Authors whose headline matches the profile's author headline keywords
+    flag: 'headlineMatches',
+    match: ({ actor }) => {
+      const headlineMatches = actor ? findHeadlineMatches(actor.headline) : [];
+      return headlineMatches.length > 0 && headlineMatches;
+    },
+    describe: ({ actor }) => `by author with headline "${actor.headline}"`,
+    explain: ({ actor, headlineMatches }) => headlineMatches.map(match => ({
+      entry: match.entry,
+      type: 'headline',
+      variation: actor.headline,
+      found: match.occurrences.map(occurrence => `"${occurrence.text}"`).join(', ')
+    }))
+  },
+  {
+    // Promoted posts are hidden regardless of keywords when the profile asks for it
+    flag: 'promoted',
+    match: (facts, postElement) => Boolean(currentConfig.hidePromoted) && isPromotedPost(postElement),
+    describe: () => 'that is promoted',
+    explain: () => [{ entry: 'Promoted', type: 'promoted', variation: '' }]
+  },
+  {
+    // Posts that are here only because of someone's activity, when the profile hides that reason
+    flag: 'hiddenReason',
+    match: ({ inclusion }) => Boolean(inclusion) && (currentConfig.hiddenReasons || []).includes(inclusion.reason) && inclusion.reason,
+    describe: ({ inclusion }) => `included as ${inclusion.reason}: "${inclusion.text}"`,
+    explain: ({ inclusion }) => [{ entry: inclusion.reason, type: 'reason', variation: inclusion.text }]
+  },
+  {
+    // Post formats (video, poll, job, ...) the profile hides or exclusively shows
+    flag: 'hiddenContentType',
+    match: ({ contentTypes }) => shouldHideContentType(contentTypes),
+    describe: ({ contentTypes }) => `by format: ${contentTypes.join(', ') || 'text'}`,
+    explain: ({ contentTypes }) => [{
+      entry: contentTypes.join(', ') || 'text',
+      type: 'contentType',
+      variation: currentConfig.contentTypeMode || DEFAULT_CONTENT_TYPE_MODE
+    }]
+  },
+  {
+    // Posts older than the profile allows
+    flag: 'tooOld',
+    match: ({ age }) => Boolean(age) && currentConfig.maxPostAgeHours > 0 && age.hours > currentConfig.maxPostAgeHours,
+    describe: ({ age }) => `older than ${currentConfig.maxPostAgeHours}h: "${age.text}"`,
+    explain: ({ age }) => [{ entry: `Older than ${currentConfig.maxPostAgeHours}h`, type: 'age', variation: age.text }]
+  },
+  {
+    // Reposts without a word from the reposter, when the profile hides them
+    flag: 'plainRepost',
+    content: true,
+    match: ({ repost }) => Boolean(repost && repost.plain && currentConfig.hidePlainReposts),
+    describe: () => 'that is a plain repost',
+    explain: () => [{ entry: 'Plain repost', type: 'repost', variation: '' }]
+  },
+  {
+    // Languages the profile hides or exclusively shows, detected on the whole post
+    flag: 'hiddenLanguage',
+    content: true,
+    match: ({ language }) => shouldHideLanguage(language),
+    describe: ({ language }) => `in ${language.language}`,
+    explain: ({ language }) => [{
+      entry: language.language,
+      type: 'language',
+      variation: currentConfig.postLanguageMode || DEFAULT_POST_LANGUAGE_MODE
+    }]
+  }
+];
+
+/**
+ * Hide a post for something other than its text and record why for explainHiddenPosts
+ * @param {HTMLElement} postElement 
+ * @param {string} reason postScores flag of the check that hid it (see POST_CHECKS), or authorListing
+ * @param {Object} details Facts gathered about the post, with the flag's value when it is not just true
+ */
+function hidePostFor(postElement, reason, details) {
+  postScores.set(postElement, { hidden: true, [reason]: true, ...details, matches: [] });
+  
+  hidePost(postElement);
+  sessionHiddenCount++;
+  if (reason === 'promoted') {
+    sessionPromotedCount++;
+  }
+  notifyPopupCountUpdate();
+  
+  lastProcessedTime = Date.now();
+}
+
+/**
+ * Run the post checks of one stage and hide the post with the first that matches
+ * @param {HTMLElement} postElement 
+ * @param {Object} facts Facts gathered about the post so far
+ * @param {boolean} content Whether to run the content checks or the ones before them
+ * @returns {boolean} True if the post was hidden
+ */
+function applyPostChecks(postElement, facts, content) {
+  if (currentConfig.paused) return false;
+  
+  for (const check of POST_CHECKS) {
+    if (Boolean(check.content) !== content) continue;
+    
+    const value = check.match(facts, postElement);
+    if (value) {
+      console.debug(`[LinkedIn Filter] Hiding post ${check.describe(facts)}`);
+      hidePostFor(postElement, check.flag, { ...facts, [check.flag]: value });
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Check if a post should be hidden for its format under the profile's content type setting
+ * @param {string[]} contentTypes Content types of the post from detectContentTypes
+ * @returns {boolean}
+ */
+function shouldHideContentType(contentTypes) {
+  const selectedTypes = currentConfig.contentTypes || [];
+  if (selectedTypes.length === 0) return false;
+  
+  const hasSelectedType = contentTypes.some(contentType => selectedTypes.includes(contentType));
+  return (currentConfig.contentTypeMode || DEFAULT_CONTENT_TYPE_MODE) === 'only' ? !hasSelectedType : hasSelectedType;
+}
+
+/**
+ * Check if a post should be hidden for its language under the profile's language setting
+ * Posts whose language could not be detected, or only with a low confidence, are never hidden for it
+ * @param {{language: string, confidence: number}|null} language Detected language from detectLanguage
+ * @returns {boolean}
+ */
+function shouldHideLanguage(language) {
+  const selectedLanguages = currentConfig.postLanguages || [];
+  if (selectedLanguages.length === 0 || !language || language.confidence < MIN_LANGUAGE_CONFIDENCE) return false;
+  
+  const isSelected = selectedLanguages.includes(language.language);
+  return (currentConfig.postLanguageMode || DEFAULT_POST_LANGUAGE_MODE) === 'only' ? !isSelected : isSelected;
+}
+
+/**
+ * Get the text of a repost that rules apply to, following the profile's repost scope
+ * @param {{commentary: string, original: string}} repost Parts from extractRepostParts
+ * @returns {string}
+ */
+function getRepostFilterText(repost) {
+  switch (currentConfig.repostScope || DEFAULT_REPOST_SCOPE) {
+    case 'commentary':
+      return repost.commentary;
+    case 'original':
+      return repost.original;
+    default:
+      return [repost.commentary, repost.original].filter(Boolean).join('\n\n');
+  }
+}
+
+/**
+ * Score text against the profile and decide whether it should be hidden
+ * Shared by posts and comments
+ * @param {string} normalizedText 
+ * @param {string} rawText 
+ * @param {Object} [postDetails] Links, social counts and language (see scorePost)
+ * @returns {Object} Score, threshold, whether the block and allow lists matched, the profile
+ *   exceptions found (exempted), the decision (shouldHide) and the details from scorePost
+ */
+function evaluateText(normalizedText, rawText, postDetails = {}) {
+  const { score, matches, excused, exceptions } = scorePost(normalizedText, rawText, getActiveFilters(), postDetails);
+  const threshold = getScoreThreshold(currentConfig.scoreThreshold);
+  const hasMatch = score >= threshold;
+  
+  // Hybrid profiles also score the text against their allow list
+  const allow = currentConfig.mode === 'hybrid' ? scorePost(normalizedText, rawText, getAllowFilters(), postDetails) : null;
+  const hasAllowMatch = allow !== null && allow.score >= threshold;
+  
+  // Profile exceptions keep the text visible whatever matched
+  const profileExceptions = currentConfig.exceptions || [];
+  const exempted = exceptions.filter(exception => profileExceptions.includes(exception.entry));
+  const shouldHide = exempted.length === 0 && shouldHidePost(hasMatch, hasAllowMatch);
+  
+  return { score, threshold, hasMatch, hasAllowMatch, exempted, shouldHide, matches, excused, exceptions, allow };
+}
+
+/**
+ * Collapse a comment or reply that the profile would hide if it were a post
+ * @param {HTMLElement} commentElement 
+ */
+function processComment(commentElement) {
+  if (commentElement.getAttribute('data-lkw-collapsed') === '1') {
+    return;
+  }
+  
+  // Comments may be added before their text, and "see more" adds to it; only new text is checked
+  const rawText = extractCommentText(commentElement);
+  if (commentElement.getAttribute('data-lkw-comment-processed') === '1' && commentTexts.get(commentElement) === rawText) {
+    return;
+  }
+  
+  const language = detectLanguage(rawText);
+  const postLanguage = language ? language.language : null;
+  const normalizedText = normalizeText(rawText, { language: postLanguage });
+  if (!normalizedText && !rawText.trim()) {
+    return;
+  }
+  
+  commentElement.setAttribute('data-lkw-comment-processed', '1');
+  commentTexts.set(commentElement, rawText);
+  
+  const { shouldHide, matches } = evaluateText(normalizedText, rawText, { postLanguage });
+  if (!shouldHide) {
+    return;
+  }
+  
+  const entries = matches.map(match => match.entry);
+  collapseComment(commentElement, entries.length > 0 ? `matched ${entries.join(', ')}` : 'no allowed keyword');
+  commentElement.setAttribute('data-lkw-matches', JSON.stringify(summarizeMatches(matches)));
+  
+  sessionCommentCount++;
+  notifyPopupCountUpdate();
+}
+
+/**
+ * Filter the comments and replies inside an element when the profile filters comments
+ * @param {Element|Document} [root] 
+ */
+function processComments(root = document) {
+  if (!currentConfig.filterComments || currentConfig.paused) {
+    return;
+  }
+  
+  try {
+    getComments(root).forEach(comment => {
+      // Comments under hidden posts are not worth the work
+      const post = comment.closest('[data-lkw-hidden="1"]');
+      if (!post) processComment(comment);
+    });
+  } catch (error) {
+    console.error('[LinkedIn Filter] Error processing comments:', error);
+  }
+}
+
+/**
+ * Filter the comments among the nodes added since the last pass
+ * Runs once mutations settle: comments inside added nodes are checked, and so is the comment
+ * an added node belongs to, since its text may have changed; collapsed comments are skipped
+ */
+function processPendingComments() {
+  const nodes = Array.from(pendingCommentNodes);
+  pendingCommentNodes.clear();
+  commentTimeout = null;
+  
+  if (!currentConfig.filterComments || currentConfig.paused) {
+    return;
+  }
+  
+  try {
+    const selector = COMMENT_SELECTORS.join(', ');
+    const comments = new Set();
+    
+    nodes.forEach(node => {
+      if (!node.isConnected) return;
+      
+      const container = node.closest(selector);
+      if (container && container.getAttribute('data-lkw-collapsed') !== '1') {
+        comments.add(container);
+      }
+      
+      if (node.firstElementChild) {
+        node.querySelectorAll(selector).forEach(comment => comments.add(comment));
+      }
+    });
+    
+    comments.forEach(comment => {
+      // Comments under hidden posts are not worth the work
+      if (!comment.closest('[data-lkw-hidden="1"]')) processComment(comment);
+    });
+  } catch (error) {
+    console.error('[LinkedIn Filter] Error processing comments:', error);
+  }
+}
+
 /**
  * Process a single post for filtering
  * @param {HTMLElement} postElement 
@@ -280,24 +1022,77 @@ async function processPost(postElement) {
     // Mark as processed immediately to prevent reprocessing
     markPostAsProcessed(postElement);
     
+    // Muted and always-shown authors are decided before any keyword matching
+    const author = extractPostAuthor(postElement);
+    const authorListing = currentConfig.paused ? null : getAuthorListing(author);
+    
+    if (authorListing) {
+      console.debug(`[LinkedIn Filter] Post by ${authorListing} author ${author.name || author.keys[0]}`);
+      
+      if (authorListing === 'muted') {
+        hidePostFor(postElement, 'authorListing', { author, authorListing });
+      } else {
+        postScores.set(postElement, { hidden: false, author, authorListing, matches: [] });
+        showPost(postElement);
+        lastProcessedTime = Date.now();
+      }
+      return;
+    }
+    
+    // Facts the post checks read (see POST_CHECKS)
+    const facts = {
+      author,
+      actor: extractPostActor(postElement),
+      inclusion: getPostInclusionReason(postElement),
+      contentTypes: detectContentTypes(postElement),
+      age: extractPostAge(postElement)
+    };
+    if (applyPostChecks(postElement, facts, false)) {
+      return;
+    }
+    
     // Expand "see more" content if needed
     await expandSeeMoreContent(postElement);
     
     // Extract and normalize text
-    const rawText = extractPostText(postElement);
-    const normalizedText = normalizeText(rawText);
+    const repost = extractRepostParts(postElement);
+    const postText = extractPostText(postElement);
+    const rawText = repost ? getRepostFilterText(repost) : postText;
+    const language = detectLanguage(postText);
+    
+    facts.repost = repost;
+    facts.language = language;
+    if (applyPostChecks(postElement, facts, true)) {
+      return;
+    }
+    
+    const postLanguage = language ? language.language : null;
+    const normalizedText = normalizeText(rawText, { language: postLanguage });
+    const postDetails = { links: extractPostLinks(postElement), engagement: extractEngagement(postElement), postLanguage };
     
-    if (!normalizedText) {
+    // Posts made only of hashtags and emoji normalize to nothing but still go through symbol rules;
+    // posts without text (an image, a link) only go through when domain or engagement entries could match them
+    const hasDetailRules = hasPostDetailRules(getActiveFilters()) ||
+      (currentConfig.mode === 'hybrid' && hasPostDetailRules(allowFilters));
+    if (!normalizedText && !rawText.trim() && !hasDetailRules) {
       console.debug('[LinkedIn Filter] No text content found in post');
       return;
     }
     
-    // Check for matches
-    const hasMatch = matchesAny(normalizedText, normalizedWordSet);
-    const shouldHide = shouldHidePost(hasMatch);
+    // Score matches against the threshold
+    const {
+      score, threshold, hasMatch, hasAllowMatch, exempted, shouldHide, matches, excused, exceptions, allow
+    } = evaluateText(normalizedText, rawText, postDetails);
+    
+    postScores.set(postElement, { score, threshold, hidden: shouldHide, ...facts, ...postDetails, matches, excused, exceptions, allow });
+    postElement.setAttribute('data-lkw-score', String(score));
+    postElement.setAttribute('data-lkw-matches', JSON.stringify(summarizeMatches(matches)));
     
     console.debug('[LinkedIn Filter] Post processed:', {
       hasMatch,
+      hasAllowMatch,
+      score,
+      exempted: exempted.map(exception => exception.entry),
       shouldHide,
       mode: currentConfig.mode,
       textPreview: normalizedText.substring(0, 100) + '...'
@@ -311,9 +1106,11 @@ async function processPost(postElement) {
     } else {
       showPost(postElement);
       
-      // Highlight found keywords in visible posts (for whitelist mode)
+      // Highlight found keywords in visible posts (allow list matches)
       if (currentConfig.mode === 'whitelist' && hasMatch) {
-        highlightFoundKeywords(postElement, normalizedWordSet);
+        highlightFoundKeywords(postElement, getActiveFilters(), postDetails.postLanguage);
+      } else if (currentConfig.mode === 'hybrid' && hasAllowMatch) {
+        highlightFoundKeywords(postElement, getAllowFilters(), postDetails.postLanguage);
       }
     }
     
@@ -360,7 +1157,9 @@ async function processAllExistingPosts() {
     }
   }
   
-  console.debug(`[LinkedIn Filter] Processed all posts. Hidden: ${sessionHiddenCount}`);
+  processComments();
+  
+  console.debug(`[LinkedIn Filter] Processed all posts. Hidden: ${sessionHiddenCount}, comments: ${sessionCommentCount}`);
 }
 
 /**
@@ -371,9 +1170,12 @@ function reprocessAllPosts() {
   
   // Reset processing markers
   resetProcessingMarkers();
+  resetCommentMarkers();
   
-  // Reset hidden count for reprocessing
+  // Reset hidden counts for reprocessing
   sessionHiddenCount = 0;
+  sessionPromotedCount = 0;
+  sessionCommentCount = 0;
   
   // Process all posts again
   processAllExistingPosts();
@@ -389,6 +1191,24 @@ function startMutationObserver() {
   
   // Use a more efficient observer configuration
   observer = new MutationObserver((mutations) => {
+    // Comments load when a post's comments are opened; they are filtered once the mutations settle
+    if (currentConfig.filterComments) {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            pendingCommentNodes.add(node);
+          }
+        });
+      });
+      
+      if (pendingCommentNodes.size > 0) {
+        if (commentTimeout) {
+          clearTimeout(commentTimeout);
+        }
+        commentTimeout = setTimeout(processPendingComments, 200);
+      }
+    }
+    
     // Skip processing if already busy
     if (isProcessing) {
       return;
@@ -507,7 +1327,9 @@ function notifyPopupCountUpdate() {
   try {
     chrome.runtime.sendMessage({
       type: 'count',
-      value: sessionHiddenCount
+      value: sessionHiddenCount,
+      promoted: sessionPromotedCount,
+      comments: sessionCommentCount
     }).catch(() => {
       // Popup might not be open, ignore error
     });
@@ -529,6 +1351,12 @@ function cleanup() {
     clearTimeout(processingTimeout);
     processingTimeout = null;
   }
+  
+  if (commentTimeout) {
+    clearTimeout(commentTimeout);
+    commentTimeout = null;
+  }
+  pendingCommentNodes.clear();
 }
 
 /**
@@ -610,6 +1438,11 @@ function restartObserver() {
       clearTimeout(processingTimeout);
       processingTimeout = null;
     }
+    pendingCommentNodes.clear();
+    if (commentTimeout) {
+      clearTimeout(commentTimeout);
+      commentTimeout = null;
+    }
     
     // Reset processing markers to allow reprocessing
     resetProcessingMarkers();
@@ -672,9 +1505,12 @@ function reprocessAllPosts() {
   
   // Reset processing markers
   resetProcessingMarkers();
+  resetCommentMarkers();
   
-  // Reset hidden count for reprocessing
+  // Reset hidden counts for reprocessing
   sessionHiddenCount = 0;
+  sessionPromotedCount = 0;
+  sessionCommentCount = 0;
   
   // Debug current state
   const debugInfo = debugUnprocessedPosts();
@@ -735,8 +1571,10 @@ const urlObserver = new MutationObserver(() => {
     if (location.hostname === 'www.linkedin.com' && isFeedPage) {
       console.debug('[LinkedIn Filter] URL changed, still on feed - reinitializing...');
       
-      // Reset session count for new page
+      // Reset session counts for new page
       sessionHiddenCount = 0;
+      sessionPromotedCount = 0;
+      sessionCommentCount = 0;
       
       // Small delay to let LinkedIn load content
       setTimeout(() => {
@@ -803,7 +1641,36 @@ window.linkedinFilterDebug = {
   restartObserver,
   getCurrentConfig: () => currentConfig,
   getNormalizedWords: () => Array.from(normalizedWordSet),
-  getHiddenCount: () => sessionHiddenCount
+  getAllowListWords: () => allowFilters ? Array.from(allowFilters.wordSet) : [],
+  getPostAuthor: postElement => extractPostAuthor(postElement),
+  getPostActor: postElement => extractPostActor(postElement),
+  getHeadlineWords: () => headlineFilters ? Array.from(headlineFilters.wordSet) : [],
+  getPostInclusionReason: postElement => getPostInclusionReason(postElement),
+  getRepostParts: postElement => extractRepostParts(postElement),
+  getPostContentTypes: postElement => detectContentTypes(postElement),
+  getPostLinks: postElement => extractPostLinks(postElement),
+  getPostLanguage: postElement => detectLanguage(extractPostText(postElement)),
+  detectLanguage: text => detectLanguage(text),
+  getPostAge: postElement => extractPostAge(postElement),
+  getPostEngagement: postElement => extractEngagement(postElement),
+  getAuthorLists: () => ({ muted: Array.from(mutedAuthorKeys), allowed: Array.from(allowedAuthorKeys) }),
+  getRegexRules: () => regexRules.map(({ regex }) => regex.toString()),
+  getKeywordMatchers: () => keywordMatchers,
+  getSymbolRules: () => symbolRules,
+  getRuleExpressions: () => ruleExpressions.map(rule => rule.source),
+  getPostScore: postElement => postScores.get(postElement) || null,
+  getPostMatches: postElement => (postScores.get(postElement) || { matches: [] }).matches,
+  explainHiddenPosts,
+  getPostScores: () => Array.from(getAllFeedPosts())
+    .filter(post => postScores.has(post))
+    .map(post => ({
+      id: post.getAttribute('data-urn') || post.getAttribute('data-id') || 'unknown',
+      ...postScores.get(post)
+    })),
+  getHiddenCount: () => sessionHiddenCount,
+  getPromotedCount: () => sessionPromotedCount,
+  getCommentCount: () => sessionCommentCount,
+  getCommentText: commentElement => extractCommentText(commentElement)
 };
 
 console.log('[LinkedIn Filter] 🔧 Debug functions available at window.linkedinFilterDebug');
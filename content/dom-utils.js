@@ -92,6 +92,47 @@ function getTextContentElements(postElement) {
   return textElements;
 }
 
+// Elements that give away the format of a post; links cover cards whose classes vary
+const CONTENT_TYPE_SELECTORS = {
+  video: ['.update-components-linkedin-video', '.feed-shared-linkedin-video', '.update-components-video', 'video'],
+  poll: ['.update-components-poll', '.feed-shared-poll'],
+  document: ['.update-components-document', '.feed-shared-document', '.document-s-container'],
+  image: ['.update-components-image', '.feed-shared-image'],
+  article: ['.update-components-article', '.feed-shared-article', '.feed-shared-external-video'],
+  job: ['.update-components-job', '.feed-shared-job', 'a[href*="/jobs/view/"]'],
+  event: ['.update-components-event', '.feed-shared-event', 'a[href*="/events/"]'],
+  newsletter: ['.update-components-newsletter', 'a[href*="/newsletters/"]'],
+  celebration: ['.update-components-celebration', '.feed-shared-celebration', '.update-components-kudos']
+};
+
+/**
+ * Detect the formats of a post: video, poll, document (PDF carousel), image (image-only posts),
+ * article (shared link with a preview card), job, event, newsletter and celebration ("kudos" cards)
+ * A post can have several, e.g. a newsletter issue is also an article
+ * @param {HTMLElement} postElement 
+ * @returns {string[]} Content types found, in the order above
+ */
+function detectContentTypes(postElement) {
+  const contentTypes = Object.keys(CONTENT_TYPE_SELECTORS).filter(contentType => {
+    return CONTENT_TYPE_SELECTORS[contentType].some(selector => {
+      try {
+        return Array.from(postElement.querySelectorAll(selector))
+          .some(element => !element.closest('.comments-comments-list'));
+      } catch (error) {
+        console.debug('[LinkedIn Filter] Content type selector failed:', selector, error);
+        return false;
+      }
+    });
+  });
+  
+  // Images with a caption are ordinary text posts
+  if (contentTypes.includes('image') && getTextContentElements(postElement).length > 0) {
+    contentTypes.splice(contentTypes.indexOf('image'), 1);
+  }
+  
+  return contentTypes;
+}
+
 /**
  * Expand "see more" content if present and not already expanded
  * @param {HTMLElement} postElement 
@@ -171,7 +212,179 @@ function extractPostText(postElement) {
   }
   
   // If multiple text blocks, choose the largest one (likely original content)
-  let selectedElement = textElements[0];
+  const selectedElement = selectLargestTextElement(textElements);
+  const extractedText = selectedElement.textContent || '';
+  
+  // Additional logging for debugging
+  if (extractedText.length > 0) {
+    console.debug(`[LinkedIn Filter] Selected text element with ${extractedText.length} chars: "${extractedText.substring(0, 100)}..."`);
+  } else {
+    console.warn('[LinkedIn Filter] Warning: Selected text element has no content');
+  }
+  
+  return extractedText;
+}
+
+// Link preview cards show the site they point to, e.g. "github.com" under the title
+const LINK_PREVIEW_DOMAIN_SELECTORS = [
+  '.update-components-article__subtitle',
+  '.update-components-article__meta',
+  '.feed-shared-article__subtitle'
+];
+
+/**
+ * Get the host of a link, looking through LinkedIn's own redirects
+ * Links to LinkedIn pages (profiles, hashtags, ...) are not links out of the post and give null
+ * @param {string} href Absolute URL
+ * @returns {string|null} Lower-case host name
+ */
+function getLinkHost(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    return null;
+  }
+  
+  if (!/^https?:$/.test(url.protocol)) return null;
+  
+  if (/(^|\.)linkedin\.com$/i.test(url.hostname)) {
+    // "linkedin.com/redir/redirect?url=..." and "linkedin.com/safety/go?url=..." wrap external links
+    const target = url.searchParams.get('url');
+    return target && /^(\/redir\/|\/safety\/go)/.test(url.pathname) ? getLinkHost(target) : null;
+  }
+  
+  return url.hostname.toLowerCase();
+}
+
+/**
+ * Extract the hosts a post links to, from links in its text and link preview cards
+ * Shortened links ("lnkd.in/abc") keep their short host
+ * @param {HTMLElement} postElement 
+ * @returns {string[]} Unique lower-case host names
+ */
+function extractPostLinks(postElement) {
+  const hosts = new Set();
+  
+  postElement.querySelectorAll('a[href]').forEach(link => {
+    if (link.closest('.comments-comments-list')) return;
+    
+    const host = getLinkHost(link.href);
+    if (host) hosts.add(host);
+  });
+  
+  LINK_PREVIEW_DOMAIN_SELECTORS.forEach(selector => {
+    postElement.querySelectorAll(selector).forEach(element => {
+      const domain = (element.textContent || '').trim().toLowerCase().split(/[\s•·/]+/)[0];
+      if (DOMAIN_NAME_REGEX.test(domain)) hosts.add(domain);
+    });
+  });
+  
+  return Array.from(hosts);
+}
+
+// Counts in the social counts bar, in English and Portuguese ("1.2K comments", "1,2 mil comentários")
+const SOCIAL_COUNT_NUMBER = '(\\d[\\d.,]*\\s*(?:k|mil|mi|m)?)\\s*';
+const SOCIAL_COUNT_REGEXES = {
+  reactions: new RegExp(`${SOCIAL_COUNT_NUMBER}(?:reactions?|rea[cç](?:[aã]o|[oõ]es))`, 'i'),
+  comments: new RegExp(`${SOCIAL_COUNT_NUMBER}(?:comments?|coment[aá]rios?)`, 'i'),
+  reposts: new RegExp(`${SOCIAL_COUNT_NUMBER}(?:reposts?|shares?|compartilhamentos?|republica[cç](?:[aã]o|[oõ]es))`, 'i')
+};
+
+/**
+ * Parse a social count as LinkedIn writes it: "1,234", "1.234", "1.2K", "1,2 mil", "3M"
+ * A comma or dot followed by exactly 3 digits separates thousands; the last one followed by
+ * fewer or more digits is a decimal point, which only counts with a suffix ("1.5" is rejected)
+ * @param {string} text Text starting with or containing the count
+ * @returns {number|null} Count, or null if the text has none or it is malformed
+ */
+function parseSocialCount(text) {
+  const match = (text || '').match(/(\d+(?:[.,]\d+)*)\s*(k|mil|mi|mn|m)?(?![\p{L}])/iu);
+  if (!match) return null;
+  
+  const groups = match[1].split(/[.,]/);
+  const decimals = groups.length > 1 && groups[groups.length - 1].length !== 3 ? groups.pop() : '';
+  if (groups.slice(1).some(group => group.length !== 3)) return null;
+  
+  const suffix = (match[2] || '').toLowerCase();
+  if (!suffix) {
+    return decimals ? null : Number(groups.join(''));
+  }
+  
+  const multiplier = suffix === 'k' || suffix === 'mil' ? 1000 : 1000000;
+  return Math.round(Number(`${groups.join('')}.${decimals || '0'}`) * multiplier);
+}
+
+/**
+ * Extract the reactions, comments and reposts of a post from its social counts bar
+ * @param {HTMLElement} postElement 
+ * @returns {{reactions: number, comments: number, reposts: number}|null} Counts (0 when not shown),
+ *   or null if the post has no social counts bar yet
+ */
+function extractEngagement(postElement) {
+  const bar = Array.from(postElement.querySelectorAll('.social-details-social-counts'))
+    .find(element => !element.closest('.comments-comments-list'));
+  if (!bar) return null;
+  
+  // Visible text plus the labels of count buttons ("1,234 reactions")
+  const labels = Array.from(bar.querySelectorAll('[aria-label]')).map(element => element.getAttribute('aria-label'));
+  const text = [bar.textContent || '', ...labels].join(' • ').replace(/\s+/g, ' ');
+  
+  const engagement = { reactions: 0, comments: 0, reposts: 0 };
+  
+  Object.entries(SOCIAL_COUNT_REGEXES).forEach(([metric, regex]) => {
+    const match = text.match(regex);
+    if (match) engagement[metric] = parseSocialCount(match[1]) || 0;
+  });
+  
+  const reactionsCount = bar.querySelector('.social-details-social-counts__reactions-count, .social-details-social-counts__social-proof-fallback-number');
+  const socialProof = bar.querySelector('.social-details-social-counts__social-proof-text');
+  
+  if (reactionsCount) {
+    engagement.reactions = parseSocialCount(reactionsCount.textContent) || engagement.reactions;
+  } else if (socialProof && engagement.reactions === 0) {
+    // "Jane Doe and 1,233 others" / "Fulano e outras 1.233 pessoas"
+    const others = parseSocialCount(socialProof.textContent);
+    engagement.reactions = others === null ? 1 : others + 1;
+  }
+  
+  return engagement;
+}
+
+/**
+ * Get a social count, or the comments-to-reactions ratio, of a post
+ * @param {{reactions: number, comments: number, reposts: number}} engagement Counts from extractEngagement
+ * @param {string} metric "reactions", "comments", "reposts" or "comments/reactions"
+ * @returns {number}
+ */
+function getEngagementMetric(engagement, metric) {
+  if (metric === 'comments/reactions') {
+    if (engagement.reactions > 0) return engagement.comments / engagement.reactions;
+    return engagement.comments > 0 ? Infinity : 0;
+  }
+  
+  return engagement[metric] || 0;
+}
+
+/**
+ * Check if the social counts of a post meet an engagement condition
+ * Posts whose counts are not known yet never match
+ * @param {Object|null} engagement Counts from extractEngagement
+ * @param {{metric: string, operator: string, value: number}} engagementRule Rule from parseSymbolKeyword
+ * @returns {boolean}
+ */
+function matchesEngagementRule(engagement, engagementRule) {
+  return Boolean(engagement) && compareEngagement(getEngagementMetric(engagement, engagementRule.metric), engagementRule);
+}
+
+/**
+ * Pick the text element with the longest text
+ * Selectors overlap, so the same text is often found at several nesting levels
+ * @param {HTMLElement[]} textElements Elements from getTextContentElements
+ * @returns {HTMLElement|null}
+ */
+function selectLargestTextElement(textElements) {
+  let selectedElement = textElements[0] || null;
   let maxLength = 0;
   
   textElements.forEach((element, index) => {
@@ -183,220 +396,1438 @@ function extractPostText(postElement) {
     console.debug(`[LinkedIn Filter] Text element ${index}: ${text.length} chars - "${text.substring(0, 50)}..."`);
   });
   
-  const extractedText = selectedElement.textContent || '';
+  return selectedElement;
+}
+
+// Card holding the original post inside a repost with commentary
+const RESHARED_CONTENT_SELECTORS = [
+  '.update-components-mini-update-v2',
+  '.feed-shared-mini-update-v2',
+  '.feed-shared-update-v2__reshare-content',
+  '.update-components-reshared-update'
+];
+
+/**
+ * Split a repost into the reposter's commentary and the original post
+ * Reposts with commentary show the reposter's text above a card with the original post;
+ * plain reposts show the original post itself under a "Jane reposted this" header
+ * @param {HTMLElement} postElement 
+ * @returns {{commentary: string, original: string, plain: boolean}|null} Texts of both parts,
+ *   plain being true when the reposter wrote nothing, or null if the post is not a repost
+ */
+function extractRepostParts(postElement) {
+  const resharedContent = RESHARED_CONTENT_SELECTORS
+    .map(selector => postElement.querySelector(selector))
+    .find(Boolean);
   
-  // Additional logging for debugging
-  if (extractedText.length > 0) {
-    console.debug(`[LinkedIn Filter] Selected text element with ${extractedText.length} chars: "${extractedText.substring(0, 100)}..."`);
-  } else {
-    console.warn('[LinkedIn Filter] Warning: Selected text element has no content');
+  if (resharedContent) {
+    // Generic selectors can match a wrapper around both parts, which belongs to neither
+    const textElements = getTextContentElements(postElement).filter(element => !element.contains(resharedContent));
+    const commentaryElement = selectLargestTextElement(textElements.filter(element => !resharedContent.contains(element)));
+    const originalElement = selectLargestTextElement(textElements.filter(element => resharedContent.contains(element)));
+    const commentary = commentaryElement ? (commentaryElement.textContent || '').trim() : '';
+    const original = originalElement ? (originalElement.textContent || '').trim() : '';
+    
+    console.debug(`[LinkedIn Filter] Repost with ${commentary.length} chars of commentary and ${original.length} chars of original post`);
+    return { commentary, original, plain: commentary === '' };
   }
   
-  return extractedText;
+  const inclusion = getPostInclusionReason(postElement);
+  if (inclusion && inclusion.reason === 'reposted') {
+    return { commentary: '', original: extractPostText(postElement), plain: true };
+  }
+  
+  return null;
 }
 
+// Actor block of a post: the name, photo and headline at the top
+const ACTOR_SELECTORS = [
+  '.update-components-actor',
+  '.feed-shared-actor',
+  '[data-test-id="main-feed-activity-card__entity-lockup"]'
+];
+
+// Headline under the actor's name: a person's job title, a page's follower count
+const ACTOR_HEADLINE_SELECTORS = [
+  '.update-components-actor__description span[aria-hidden="true"]',
+  '.update-components-actor__description',
+  '.feed-shared-actor__description'
+];
+
+// Kind of actor each link path belongs to; school pages count as company pages
+const ACTOR_TYPE_PATHS = [
+  ['person', /\/in\//],
+  ['company', /\/(company|school)\//],
+  ['showcase', /\/showcase\//],
+  ['group', /\/groups\//]
+];
+
+// Where the connection degree and "Following" appear next to the actor's name ("• 2nd", "• Following")
+const ACTOR_RELATION_SELECTORS = [
+  '.update-components-actor__supplementary-actor-info',
+  '.feed-shared-actor__supplementary-actor-info',
+  '.update-components-actor__title',
+  '.feed-shared-actor__name'
+];
+
+// Connection degree labels, English and Portuguese ("1st", "3rd+", "2º", "3º+")
+const CONNECTION_DEGREE_REGEX = /(?:^|[•·])\s*([123])(?:st|nd|rd|º|°)\+?(?=\s|$)/;
+const FOLLOWING_LABEL_REGEX = /(?:^|[•·])\s*(?:following|seguindo)\s*$/i;
+
+// Follow buttons shown on posts of actors you do not follow
+const FOLLOW_BUTTON_SELECTORS = [
+  '.update-components-actor__follow-button',
+  '.feed-shared-actor__follow-button',
+  'button[aria-label^="Follow "]',
+  'button[aria-label^="Seguir "]'
+];
+
 /**
- * Normalize text for matching
- * Removes accents, converts to lowercase, removes links, hashtags, mentions, emojis
- * @param {string} text 
- * @returns {string} Normalized text
+ * Find the actor block of a post
+ * Reposts show the reposter above the original post; the first actor block is the one
+ * whose feed activity this is
+ * @param {HTMLElement} postElement 
+ * @returns {HTMLElement|null}
  */
-function normalizeText(text) {
-  if (!text) return '';
+function findActorBlock(postElement) {
+  return ACTOR_SELECTORS.map(selector => postElement.querySelector(selector)).find(Boolean) || null;
+}
+
+/**
+ * Extract the actor of a post: its kind, the headline under its name and how you are related
+ * @param {HTMLElement} postElement 
+ * @returns {{type: string|null, name: string, headline: string, degree: string|null, following: boolean|null}|null}
+ *   Actor type ('person', 'company', 'showcase' or 'group', null when no link tells), name, headline,
+ *   connection degree ('1st', '2nd' or '3rd' for 3rd+, null when not shown) and whether you follow
+ *   the actor (null when the post does not tell), or null without an actor block
+ */
+function extractPostActor(postElement) {
+  const actor = findActorBlock(postElement);
+  if (!actor) return null;
   
-  return text
-    .toLowerCase()
-    .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // Remove accents
-    .replace(/https?:\/\/\S+/g, ' ') // Remove URLs
-    .replace(/[@#][\p{L}\p{N}_-]+/gu, ' ') // Remove mentions and hashtags
-    .replace(/[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu, ' ') // Remove emojis
-    .replace(/[^\w\s\u00C0-\u017F]/g, ' ') // Remove punctuation and special characters
-    .replace(/\s+/g, ' ') // Normalize whitespace
-    .trim();
+  const hrefs = Array.from(actor.querySelectorAll('a[href]'), link => link.getAttribute('href') || '');
+  const typeEntry = ACTOR_TYPE_PATHS.find(([, regex]) => hrefs.some(href => regex.test(href)));
+  
+  const nameElement = actor.querySelector('.update-components-actor__title span[aria-hidden="true"]') ||
+    actor.querySelector('.update-components-actor__name') ||
+    actor.querySelector('.feed-shared-actor__name');
+  const headlineElement = ACTOR_HEADLINE_SELECTORS.map(selector => actor.querySelector(selector)).find(Boolean);
+  
+  const relationTexts = ACTOR_RELATION_SELECTORS
+    .flatMap(selector => Array.from(actor.querySelectorAll(selector), element => (element.textContent || '').replace(/\s+/g, ' ').trim()));
+  const degreeText = relationTexts.map(text => text.match(CONNECTION_DEGREE_REGEX)).find(Boolean);
+  
+  let following = null;
+  if (relationTexts.some(text => FOLLOWING_LABEL_REGEX.test(text))) {
+    following = true;
+  } else if (FOLLOW_BUTTON_SELECTORS.some(selector => postElement.querySelector(selector))) {
+    following = false;
+  }
+  
+  return {
+    type: typeEntry ? typeEntry[0] : null,
+    name: nameElement ? nameElement.textContent.trim().replace(/\s+/g, ' ') : '',
+    headline: headlineElement ? headlineElement.textContent.trim().replace(/\s+/g, ' ') : '',
+    degree: degreeText ? ['1st', '2nd', '3rd'][Number(degreeText[1]) - 1] : null,
+    following
+  };
 }
 
 /**
- * Generate plural/singular variations of a word
- * More intelligent implementation to avoid false positives
- * @param {string} word 
- * @returns {string[]} Array of word variations
+ * Extract the author of a post from its actor block
+ * @param {HTMLElement} postElement 
+ * @returns {{name: string, url: string|null, urn: string|null, keys: string[]}|null} Author with its
+ *   profile/page URL, URN when the link carries one, and the keys author lists are compared with
  */
-function generateWordVariations(word) {
-  if (!word || word.length < 2) return [word]; // Don't generate variations for very short words
+function extractPostAuthor(postElement) {
+  const linkSelectors = [
+    'a.update-components-actor__meta-link',
+    'a.update-components-actor__container-link',
+    'a.update-components-actor__image',
+    'a.feed-shared-actor__container-link',
+    'a[href*="/in/"]',
+    'a[href*="/company/"]',
+    'a[href*="/school/"]',
+    'a[href*="/showcase/"]'
+  ];
+  const nameSelectors = [
+    '.update-components-actor__title span[aria-hidden="true"]',
+    '.update-components-actor__name span[aria-hidden="true"]',
+    '.update-components-actor__name',
+    '.feed-shared-actor__name'
+  ];
   
-  const variations = [word];
+  const actor = findActorBlock(postElement);
+  if (!actor) {
+    console.debug('[LinkedIn Filter] No actor block found in post');
+    return null;
+  }
   
-  // Only generate variations for words longer than 2 characters
-  if (word.length > 2) {
-    // Add plural variation (add 's')
-    if (!word.endsWith('s')) {
-      variations.push(word + 's');
-    }
-    
-    // Add singular variation (remove 's')
-    if (word.endsWith('s') && word.length > 3) {
-      variations.push(word.slice(0, -1));
+  const link = linkSelectors
+    .map(selector => actor.querySelector(selector))
+    .find(candidate => candidate && getAuthorKey(candidate.getAttribute('href') || ''));
+  const nameElement = nameSelectors.map(selector => actor.querySelector(selector)).find(Boolean);
+  
+  const href = link ? link.getAttribute('href') : null;
+  let urn = null;
+  
+  // Actor links often carry the profile URN: ?miniProfileUrn=urn%3Ali%3Afs_miniProfile%3A...
+  if (href) {
+    try {
+      const params = new URL(href, location.origin).searchParams;
+      urn = params.get('miniProfileUrn') || params.get('miniCompanyUrn');
+    } catch (error) {
+      console.debug('[LinkedIn Filter] Could not parse actor link:', href);
     }
   }
   
-  return variations;
+  const url = href ? normalizeAuthorEntry(href) : null;
+  const keys = [getAuthorKey(href || ''), getAuthorKey(urn || '')].filter(Boolean);
+  
+  if (keys.length === 0) {
+    console.debug('[LinkedIn Filter] No author link found in actor block');
+    return null;
+  }
+  
+  return {
+    name: nameElement ? nameElement.textContent.trim().replace(/\s+/g, ' ') : '',
+    url,
+    urn,
+    keys
+  };
 }
 
+// Labels LinkedIn puts under the author of paid posts, in English and Portuguese
+const PROMOTED_LABEL_REGEX = /^(?:promoted|sponsored|promovido|promovida|patrocinado|patrocinada)\b/i;
+
 /**
- * Generate all variations for a list of words
- * Includes normalization and deduplication
- * @param {string[]} words 
- * @returns {Set<string>} Set of normalized word variations
+ * Check if a post is promoted (an ad), from the label under its author's name
+ * @param {HTMLElement} postElement 
+ * @returns {boolean}
  */
-function generateNormalizedWordSet(words) {
-  const wordSet = new Set();
+function isPromotedPost(postElement) {
+  const selectors = [
+    '.update-components-actor__sub-description',
+    '.feed-shared-actor__sub-description',
+    '.update-components-actor__description'
+  ];
   
-  words.forEach(word => {
-    const normalized = normalizeText(word);
-    if (normalized) {
-      const variations = generateWordVariations(normalized);
-      variations.forEach(variation => wordSet.add(variation));
+  return selectors.some(selector => {
+    try {
+      return Array.from(postElement.querySelectorAll(selector))
+        .some(element => PROMOTED_LABEL_REGEX.test((element.textContent || '').trim()));
+    } catch (error) {
+      console.debug('[LinkedIn Filter] Promoted label selector failed:', selector, error);
+      return false;
     }
   });
-  
-  console.debug(`[LinkedIn Filter] Generated ${wordSet.size} word variations from ${words.length} original words:`, Array.from(wordSet));
-  return wordSet;
 }
 
+// Units of the relative timestamp under the author ("3w", "2 sem", "1mo", "5 hours ago",
+// "há 2 dias") in hours, English and Portuguese. A bare "m" is minutes in both locales.
+const POST_AGE_UNITS = [
+  [/^(?:s|secs?|seconds?|seg|segundos?)$/, 1 / 3600],
+  [/^(?:m|mins?|minutes?|minutos?)$/, 1 / 60],
+  [/^(?:h|hrs?|hours?|horas?)$/, 1],
+  [/^(?:d|days?|dias?)$/, 24],
+  [/^(?:w|wks?|weeks?|sem|semanas?)$/, 24 * 7],
+  [/^(?:mo|mos|months?|m[eê]s|meses)$/, 24 * 30],
+  [/^(?:y|yrs?|years?|a|anos?)$/, 24 * 365]
+];
+
 /**
- * Check if text matches any word in the word set
- * Uses strict word boundaries to prevent partial matches
- * @param {string} text Normalized text to check
- * @param {Set<string>} wordSet Set of normalized words to match against
- * @returns {boolean} True if any word matches
+ * Parse a relative timestamp into hours
+ * @param {string} text Timestamp text, e.g. "3w • Edited", "2 sem •", "Now"
+ * @returns {number|null} Age in hours (approximate for months and years), or null if none is found
  */
-function matchesAny(text, wordSet) {
-  if (!text || wordSet.size === 0) return false;
+function parsePostAge(text) {
+  if (/^\s*(?:now|just now|agora)\b/i.test(text)) return 0;
   
-  // Convert text to lowercase for case-insensitive matching
-  const normalizedText = text.toLowerCase();
+  for (const [, amount, unit] of text.matchAll(/(\d+)\s*(\p{L}+)/gu)) {
+    const found = POST_AGE_UNITS.find(([pattern]) => pattern.test(unit.toLowerCase()));
+    if (found) return Number(amount) * found[1];
+  }
   
-  // Split text into individual words for more precise matching
-  const textWords = normalizedText.split(/\s+/);
+  return null;
+}
+
+/**
+ * Find how old a post is from the relative timestamp under its author's name
+ * Reposts have the reposter's block first, so this is the age of the repost
+ * @param {HTMLElement} postElement 
+ * @returns {{hours: number, text: string}|null} Age in hours with the timestamp text, or null if not shown
+ */
+function extractPostAge(postElement) {
+  const selectors = [
+    '.update-components-actor__sub-description',
+    '.feed-shared-actor__sub-description'
+  ];
   
-  for (const word of wordSet) {
-    if (!word || word.length === 0) continue;
+  for (const selector of selectors) {
+    const element = postElement.querySelector(selector);
+    if (!element) continue;
     
-    // Check if the exact word exists in the text words
-    for (const textWord of textWords) {
-      // Clean the text word (remove punctuation, etc.)
-      const cleanTextWord = textWord.replace(/[^\w\u00C0-\u017F]/g, '');
-      
-      // Exact match (case-insensitive)
-      if (cleanTextWord.toLowerCase() === word.toLowerCase()) {
-        console.debug(`[LinkedIn Filter] Keyword "${word}" matched exactly in text: "${cleanTextWord}"`);
-        return true;
-      }
+    // Prefer the visible short form ("3w"); screen reader text repeats it in full
+    const visible = element.querySelector('span[aria-hidden="true"]') || element;
+    const text = (visible.textContent || '').trim().replace(/\s+/g, ' ');
+    const hours = parsePostAge(text);
+    
+    if (hours !== null) {
+      return { hours, text };
     }
   }
   
-  return false;
+  return null;
+}
+
+// Why a post is in the feed, from the header above its author ("Jane likes this"),
+// in English and Portuguese. Checked in order; the first match wins.
+const INCLUSION_REASON_PATTERNS = [
+  ['recommended', /\brecommended for you\b|recomendad[oa]s? para voc[eê]/i],
+  ['hashtag', /\b(?:followed hashtag|hashtags? you follow|you follow #)|hashtags? que voc[eê] segue|voc[eê] segue #/i],
+  ['suggested', /^(?:suggested|sugerid[oa]s?|sugest[aã]o|sugest[oõ]es)\b/i],
+  ['commented', /\b(?:commented on|replied to|comentou|respondeu)\b/i],
+  ['celebrated', /\b(?:celebrates?|celebrated|parabenizou|celebrou|celebra|comemorou)\b/i],
+  ['reposted', /\b(?:reposted|shared this|republicou|compartilhou)\b/i],
+  ['liked', /\b(?:likes?|liked|loves?|finds? this|supports? this|reacted to|gostou|curtiu|amou|achou isso|apoia isso|reagiu)\b/i]
+];
+
+/**
+ * Find why a post is in the feed, from its header ("Jane likes this", "Suggested", ...)
+ * Posts from people and pages the user follows have no header
+ * @param {HTMLElement} postElement 
+ * @returns {{reason: string, text: string}|null} Reason (liked, commented, celebrated, reposted,
+ *   suggested, recommended or hashtag) with the header text, or null for regular posts
+ */
+function getPostInclusionReason(postElement) {
+  const selectors = [
+    '.update-components-header__text-view',
+    '.update-components-header',
+    '.feed-shared-header__text',
+    '.feed-shared-header'
+  ];
+  
+  const header = selectors.map(selector => postElement.querySelector(selector)).find(Boolean);
+  if (!header) return null;
+  
+  const text = (header.textContent || '').trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+  
+  const found = INCLUSION_REASON_PATTERNS.find(([, pattern]) => pattern.test(text));
+  if (!found) {
+    console.debug('[LinkedIn Filter] Unrecognized post header:', text);
+    return null;
+  }
+  
+  return { reason: found[0], text };
 }
 
 /**
- * Highlight found keywords by converting them to bold in the post text
- * Preserves all original formatting while making keywords bold
+ * Add a "Mute this author" item to a post's control menu (the "..." dropdown)
+ * LinkedIn renders the menu when it opens, so this is called after each opening
  * @param {HTMLElement} postElement 
- * @param {Set<string>} wordSet 
+ * @param {{name: string}} author Author from extractPostAuthor
+ * @param {function(): void} onMute Called when the item is chosen
+ * @returns {boolean} True if the item was added
  */
-function highlightFoundKeywords(postElement, wordSet) {
-  if (!wordSet || wordSet.size === 0) return;
+function addMuteAuthorMenuItem(postElement, author, onMute) {
+  const menuSelectors = [
+    '.feed-shared-control-menu__content ul',
+    '.feed-shared-control-menu .artdeco-dropdown__content-inner ul',
+    '.artdeco-dropdown__content--is-open ul'
+  ];
   
-  try {
-    const textElements = getTextContentElements(postElement);
+  const menu = menuSelectors.map(selector => postElement.querySelector(selector)).find(Boolean);
+  if (!menu || menu.querySelector('.lkw-mute-author')) {
+    return false;
+  }
+  
+  const item = document.createElement('li');
+  item.className = 'feed-shared-control-menu__item lkw-mute-author';
+  
+  const button = document.createElement('div');
+  button.setAttribute('role', 'button');
+  button.tabIndex = 0;
+  button.className = 'feed-shared-control-menu__dropdown-item';
+  button.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 12px 16px; cursor: pointer;';
+  button.textContent = author.name ? `🔇 Mute ${author.name}` : '🔇 Mute this author';
+  button.title = 'Hide every post by this author (LinkedIn Keyword Filter)';
+  
+  const activate = event => {
+    event.preventDefault();
+    event.stopPropagation();
+    onMute();
+  };
+  button.addEventListener('click', activate);
+  button.addEventListener('keydown', event => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      activate(event);
+    }
+  });
+  
+  item.appendChild(button);
+  menu.appendChild(item);
+  return true;
+}
+
+// Scripts written without spaces between words; runs of them are split with Intl.Segmenter
+const UNSPACED_SCRIPT_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Shared word segmenter (null on browsers without Intl.Segmenter, runs then stay whole)
+const wordSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'word' })
+  : null;
+
+/**
+ * Normalize text for matching
+ * Folds fancy Unicode letters and obfuscation (see content/text-folding.js),
+ * removes accents, converts to lowercase, removes links, emails, hashtags, mentions, emojis
+ * Letters and combining marks of every script are kept (Cyrillic, Arabic, Devanagari, CJK, ...)
+ * Applied to post text and keywords alike so both fold the same way
+ * @param {string} text 
+ * @param {Object} [options]
+ * @param {boolean} [options.preserveCase] Keep upper case letters (for case-sensitive keywords)
+ * @param {string|null} [options.language] Detected language of the text, for joining spaced-out letters
+ * @returns {string} Normalized text
+ */
+function normalizeText(text, { preserveCase = false, language = null } = {}) {
+  if (!text) return '';
+  
+  const foldedText = foldFancyText(text); // 𝗵𝗶𝗿𝗶𝗻𝗴, ｊｏｂ, zero-width joiners, look-alike letters
+  
+  // Links, emails, mentions and hashtags go before leetspeak folding, which would read their "@" as an "a"
+  const withoutLinks = (preserveCase ? foldedText : foldedText.toLowerCase())
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC') // Remove accents, recompose the rest (Hangul, Devanagari)
+    .replace(/https?:\/\/\S+|www\.\S+/gi, ' ') // Remove URLs
+    .replace(/[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu, ' ') // Remove emails
+    .replace(/(?<![\p{L}\p{N}])[@#][\p{L}\p{N}_-]+/gu, ' '); // Remove mentions and hashtags
+  
+  return collapseSpacedLetters(foldLeetspeak(withoutLinks), language) // "j0b" -> "job", "h i r i n g" -> "hiring"
+    .replace(/[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu, ' ') // Remove emojis
+    .replace(/[^\p{L}\p{M}\p{N}_\s]/gu, ' ') // Remove punctuation and special characters
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .trim();
+}
+
+/**
+ * Normalize a keyword or rule term into the space-separated words matching compares
+ * Goes through the same tokenizer as post text so words of unspaced scripts are
+ * split the same way ("求人情報" -> "求人 情報")
+ * @param {string} keyword 
+ * @param {Object} [options]
+ * @param {boolean} [options.preserveCase] Keep upper case letters
+ * @returns {string} Normalized words, empty if nothing is left
+ */
+function normalizeKeyword(keyword, { preserveCase = false } = {}) {
+  return tokenizeNormalizedText(normalizeText(keyword, { preserveCase }), { preserveCase }).join(' ');
+}
+
+/**
+ * Map the stemmed forms of a list of words to the entries they come from
+ * Includes normalization and deduplication; each word of a phrase is stemmed
+ * for every enabled language, so "recrutadoras" is stored as "recrutador", and
+ * the unstemmed form is kept too. Each form records the languages it was stemmed in
+ * (null for unstemmed) so post words only match stems of their own language.
+ * Regex entries ("/pattern/flags") are left out, see compileRegexRules, and so are
+ * hashtag/mention/emoji entries, see compileSymbolRules, and keywords with
+ * non-default match options, see compileKeywordMatchers
+ * @param {string[]} words 
+ * @param {Object} [keywordOptions] Per-keyword options, keyed by entry
+ * @param {(string|null)[]} [languages] Stemming languages from getStemmingLanguages
+ * @returns {Map<string, {entries: string[], languages: (string|null)[]}>} Normalized, stemmed
+ *   words and phrases -> keyword list entries and stemming languages
+ */
+function mapKeywordStems(words, keywordOptions = {}, languages = getStemmingLanguages()) {
+  const keywordStems = new Map();
+  const stemLanguages = Array.from(new Set([null, ...languages]));
+  
+  words.forEach(word => {
+    if (isRegexKeyword(word) || isSymbolKeyword(word)) return;
+    if (!usesDefaultMatching(getKeywordOptions(word, keywordOptions))) return;
     
-    textElements.forEach(textElement => {
-      if (textElement.hasAttribute('data-lkw-highlighted')) return; // Skip if already highlighted
-      
-      // Store original HTML content to preserve formatting
-      const originalHTML = textElement.innerHTML;
-      
-      // Create a temporary container to work with the HTML
-      const tempContainer = document.createElement('div');
-      tempContainer.innerHTML = originalHTML;
-      
-      let hasChanges = false;
+    const normalized = normalizeKeyword(word);
+    if (!normalized) return;
+    
+    stemLanguages.forEach(language => {
+      const stem = stemPhrase(normalized, language);
+      const keywordStem = keywordStems.get(stem) || { entries: [], languages: [] };
       
-      // Function to process text nodes and make keywords bold
-      function processTextNode(node) {
-        if (node.nodeType === Node.TEXT_NODE) {
-          const text = node.textContent;
-          
-          // Check each keyword against this text node
-          wordSet.forEach(keyword => {
-            if (keyword && keyword.length > 0) {
-              // Create regex for case-insensitive matching with word boundaries
-              const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-              const regex = new RegExp(`\\b${escapedKeyword}\\b`, 'gi');
-              const matches = text.match(regex);
-              
-              if (matches && matches.length > 0) {
-                hasChanges = true;
-                
-                // Create a document fragment to hold the processed content
-                const fragment = document.createDocumentFragment();
-                let lastIndex = 0;
-                
-                matches.forEach(match => {
-                  const matchIndex = text.indexOf(match, lastIndex);
-                  
-                  // Add text before the match
-                  if (matchIndex > lastIndex) {
-                    fragment.appendChild(document.createTextNode(text.substring(lastIndex, matchIndex)));
-                  }
-                  
-                  // Create bold element for the keyword
-                  const boldElement = document.createElement('strong');
-                  boldElement.textContent = match;
-                  boldElement.style.fontWeight = 'bold';
-                  boldElement.style.color = '#0a66c2'; // LinkedIn blue color
-                  fragment.appendChild(boldElement);
-                  
-                  lastIndex = matchIndex + match.length;
-                });
-                
-                // Add remaining text after the last match
-                if (lastIndex < text.length) {
-                  fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
-                }
-                
-                // Replace the text node with the fragment
-                node.parentNode.replaceChild(fragment, node);
-              }
-            }
-          });
-        } else if (node.nodeType === Node.ELEMENT_NODE) {
-          // Recursively process child nodes to preserve nested formatting
-          Array.from(node.childNodes).forEach(childNode => {
-            processTextNode(childNode);
-          });
-        }
+      if (!keywordStem.entries.includes(word)) {
+        keywordStem.entries.push(word);
       }
-      
-      // Process all nodes in the container
-      Array.from(tempContainer.childNodes).forEach(processTextNode);
-      
-      // Only update if changes were made
-      if (hasChanges) {
-        textElement.innerHTML = tempContainer.innerHTML;
-        textElement.setAttribute('data-lkw-highlighted', '1');
-        console.debug('[LinkedIn Filter] Keywords highlighted in bold while preserving formatting');
+      if (!keywordStem.languages.includes(language)) {
+        keywordStem.languages.push(language);
       }
+      keywordStems.set(stem, keywordStem);
     });
-    
-  } catch (error) {
-    console.error('[LinkedIn Filter] Error highlighting keywords:', error);
-  }
+  });
+  
+  console.debug(`[LinkedIn Filter] Generated ${keywordStems.size} stemmed forms from ${words.length} original words:`, Array.from(keywordStems.keys()));
+  return keywordStems;
 }
 
 /**
- * Remove keyword highlighting from a post
- * @param {HTMLElement} postElement 
+ * Prepare keywords that have non-default match options (prefix, substring, case-sensitive)
+ * @param {string[]} words 
+ * @param {Object} [keywordOptions] Per-keyword match options, keyed by entry
+ * @returns {{keyword: string, variations: string[], match: string, caseSensitive: boolean}[]} Keyword matchers
+ */
+function compileKeywordMatchers(words, keywordOptions = {}) {
+  const keywordMatchers = [];
+  
+  words.forEach(word => {
+    if (isRegexKeyword(word) || isSymbolKeyword(word)) return;
+    
+    const options = getKeywordOptions(word, keywordOptions);
+    if (usesDefaultMatching(options)) return;
+    
+    const normalized = normalizeKeyword(word, { preserveCase: options.caseSensitive });
+    if (!normalized) return;
+    
+    keywordMatchers.push({
+      keyword: word,
+      // Matched literally: prefix and substring already cover inflections,
+      // case-sensitive words are usually acronyms
+      variations: [normalized],
+      match: options.match,
+      caseSensitive: options.caseSensitive
+    });
+  });
+  
+  console.debug(`[LinkedIn Filter] Prepared ${keywordMatchers.length} keywords with custom match options`);
+  return keywordMatchers;
+}
+
+/**
+ * Compile the regex entries ("/pattern/flags") of a keyword list
+ * Invalid patterns are skipped so one bad entry cannot break filtering
+ * @param {string[]} words 
+ * @returns {{keyword: string, regex: RegExp}[]} Entries with their compiled case-insensitive regexes
+ */
+function compileRegexRules(words) {
+  const regexRules = [];
+  
+  words.forEach(word => {
+    if (!isRegexKeyword(word)) return;
+    
+    try {
+      regexRules.push({ keyword: word, regex: compileRegexKeyword(word) });
+    } catch (error) {
+      console.warn(`[LinkedIn Filter] Skipping invalid regex rule ${word}:`, error.message);
+    }
+  });
+  
+  console.debug(`[LinkedIn Filter] Compiled ${regexRules.length} regex rules`);
+  return regexRules;
+}
+
+/**
+ * Prepare the hashtag, mention and emoji entries of a keyword list
+ * @param {string[]} words 
+ * @returns {{keyword: string, type: string, value: (string|string[]|number)}[]} Symbol rules
+ */
+function compileSymbolRules(words) {
+  const symbolRules = [];
+  
+  words.forEach(word => {
+    const symbolRule = parseSymbolKeyword(word);
+    if (symbolRule) {
+      symbolRules.push({ keyword: word, ...symbolRule });
+    }
+  });
+  
+  console.debug(`[LinkedIn Filter] Prepared ${symbolRules.length} hashtag, mention and emoji rules`);
+  return symbolRules;
+}
+
+/**
+ * Fold raw text for hashtag and mention lookups: fancy letters, accents and case
+ * @param {string} text Raw text
+ * @returns {string}
+ */
+function foldSymbolText(text) {
+  return foldFancyText(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC').toLowerCase();
+}
+
+/**
+ * Build a regex for the hashtag or mention of a symbol rule
+ * LinkedIn renders hashtags as "hashtag#opentowork", so nothing is required before the sign
+ * @param {{type: string, value: string}} symbolRule Hashtag or mention rule
+ * @param {string} [flags] Regex flags
+ * @returns {RegExp}
+ */
+function buildSymbolRegex(symbolRule, flags = 'iu') {
+  const sign = symbolRule.type === 'hashtag' ? '#' : '@';
+  const value = foldSymbolText(symbolRule.value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`${sign}${value}(?![\\p{L}\\p{M}\\p{N}_])`, flags);
+}
+
+/**
+ * Check if a link host matches a domain rule
+ * "www." is ignored; "*.example.com" rules also take every subdomain
+ * @param {string} host Lower-case host name
+ * @param {{value: string, subdomains: boolean}} domainRule Domain rule from parseSymbolKeyword
+ * @returns {boolean}
+ */
+function matchesDomainRule(host, domainRule) {
+  const bareHost = host.replace(/^www\./, '');
+  return bareHost === domainRule.value || (domainRule.subdomains && bareHost.endsWith(`.${domainRule.value}`));
+}
+
+/**
+ * Check if raw post text matches a hashtag, mention or emoji rule, its links a domain rule
+ * or its social counts an engagement condition
+ * @param {string} rawText Original post text (hashtags, mentions and emoji intact)
+ * @param {{type: string, value: (string|string[]|number)}} symbolRule Rule from parseSymbolKeyword
+ * @param {Object} [postDetails] What the post shows besides its text
+ * @param {string[]} [postDetails.links] Hosts the post links to (see extractPostLinks)
+ * @param {Object|null} [postDetails.engagement] Social counts of the post (see extractEngagement)
+ * @returns {boolean}
+ */
+function matchesSymbolRule(rawText, symbolRule, postDetails = {}) {
+  if (symbolRule.type === 'domain') {
+    return (postDetails.links || []).some(host => matchesDomainRule(host, symbolRule));
+  }
+  
+  if (symbolRule.type === 'engagement') {
+    return matchesEngagementRule(postDetails.engagement || null, symbolRule);
+  }
+  
+  if (!rawText) return false;
+  
+  switch (symbolRule.type) {
+    case 'hashtag':
+    case 'mention':
+      return buildSymbolRegex(symbolRule).test(foldSymbolText(rawText));
+    case 'emoji': {
+      const textEmoji = new Set(findEmoji(rawText));
+      return symbolRule.value.every(emoji => textEmoji.has(emoji));
+    }
+    case 'emojiDensity':
+      return getEmojiDensity(rawText) > symbolRule.value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the hashtag, mention, emoji, domain and engagement rules a post matches
+ * @param {string} rawText Original post text
+ * @param {Object[]} symbolRules Symbol rules from compileSymbolRules
+ * @param {Object} [postDetails] Links and social counts of the post (see matchesSymbolRule)
+ * @returns {Object[]} Matching symbol rules
+ */
+function findMatchingSymbolRules(rawText, symbolRules, postDetails = {}) {
+  return symbolRules.filter(symbolRule => matchesSymbolRule(rawText, symbolRule, postDetails));
+}
+
+/**
+ * Find the words of a text with their offsets
+ * Words are runs of letters, combining marks, digits and underscores; runs in
+ * scripts without spaces (Chinese, Japanese, Thai, ...) are split with Intl.Segmenter
+ * @param {string} text 
+ * @returns {{0: string, index: number}[]} Match-like objects in text order
+ */
+function findWordTokens(text) {
+  const tokens = [];
+  
+  for (const run of text.matchAll(/[\p{L}\p{M}\p{N}_]+/gu)) {
+    if (!wordSegmenter || !UNSPACED_SCRIPT_REGEX.test(run[0])) {
+      tokens.push(run);
+      continue;
+    }
+    
+    for (const { segment, index, isWordLike } of wordSegmenter.segment(run[0])) {
+      if (!isWordLike) continue;
+      
+      const token = [segment];
+      token.index = run.index + index;
+      tokens.push(token);
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Split normalized text into individual clean words (remove punctuation, etc.)
+ * @param {string} text Normalized text
+ * @param {Object} [options]
+ * @param {boolean} [options.preserveCase] Keep upper case letters
+ * @returns {string[]} Words in text order, lowercase unless preserveCase is set
+ */
+function tokenizeNormalizedText(text, { preserveCase = false } = {}) {
+  if (!text) return [];
+  
+  return findWordTokens(preserveCase ? text : text.toLowerCase()).map(token => token[0]);
+}
+
+// Compiled word matchers by keyword stems; new stems are only built on config change
+const wordMatcherCache = new WeakMap();
+
+/**
+ * Compile stemmed words and phrases into a word-level trie
+ * Each path spells a phrase word by word ("open" -> "to" -> "work"), so matching
+ * walks the trie from each word of the text and stops as soon as no keyword
+ * continues: the cost grows with post length, not with the number of keywords
+ * @param {Iterable<string>} words Stemmed words and phrases
+ * @returns {{root: Object, size: number, phraseLengths: number[]}} Compiled matcher
+ */
+function compileWordMatcher(words) {
+  const root = { children: new Map(), phrase: null };
+  const phraseLengths = new Set();
+  let size = 0;
+  
+  for (const word of words) {
+    if (!word) continue;
+    
+    const phraseWords = word.split(' ');
+    let node = root;
+    
+    phraseWords.forEach(phraseWord => {
+      if (!node.children.has(phraseWord)) {
+        node.children.set(phraseWord, { children: new Map(), phrase: null });
+      }
+      node = node.children.get(phraseWord);
+    });
+    
+    if (!node.phrase) {
+      node.phrase = word;
+      phraseLengths.add(phraseWords.length);
+      size++;
+    }
+  }
+  
+  return { root, size, phraseLengths: Array.from(phraseLengths).sort((a, b) => b - a) };
+}
+
+/**
+ * Get the compiled matcher of keyword stems, compiling it on first use
+ * @param {Map<string, Object>} keywordStems Stemmed words/phrases from mapKeywordStems
+ * @returns {Object} Matcher from compileWordMatcher
+ */
+function getWordMatcher(keywordStems) {
+  let wordMatcher = wordMatcherCache.get(keywordStems);
+  
+  if (!wordMatcher) {
+    wordMatcher = compileWordMatcher(keywordStems.keys());
+    wordMatcherCache.set(keywordStems, wordMatcher);
+    console.debug(`[LinkedIn Filter] Compiled word matcher for ${wordMatcher.size} stemmed forms`);
+  }
+  
+  return wordMatcher;
+}
+
+/**
+ * Find the keyword stems that occur in text
+ * Text words are stemmed the same way as the keywords, in the post's language (see getPostStemming);
+ * phrases ("open to work") must appear as consecutive words
+ * @param {string} text Normalized text to check
+ * @param {Map<string, Object>} keywordStems Stemmed words/phrases from mapKeywordStems
+ * @param {(string|null)[]} [languages] Stemming languages the stems were built with
+ * @param {string|null} [postLanguage] Detected language of the post
+ * @returns {Set<string>} Matched keyword stems
+ */
+function findMatchedWords(text, keywordStems, languages = getStemmingLanguages(), postLanguage = null) {
+  const matchedWords = new Set();
+  if (!text || keywordStems.size === 0) return matchedWords;
+  
+  const { root } = getWordMatcher(keywordStems);
+  const textWords = tokenizeNormalizedText(text);
+  const stemming = getPostStemming(languages, postLanguage);
+  
+  for (const language of stemming.languages) {
+    const stemmedWords = textWords.map(textWord => stemWord(textWord, language));
+    
+    // Phrases match across consecutive words, single words on the stem
+    for (let start = 0; start < stemmedWords.length; start++) {
+      let node = root;
+      
+      for (let index = start; index < stemmedWords.length; index++) {
+        node = node.children.get(stemmedWords[index]);
+        if (!node) break;
+        
+        if (node.phrase && isStemAllowed(node.phrase, language, keywordStems.get(node.phrase).languages, stemming.strict)) {
+          matchedWords.add(node.phrase);
+        }
+      }
+    }
+  }
+  
+  return matchedWords;
+}
+
+/**
+ * Check if tokenized text matches a keyword with custom match options
+ * @param {string[]} textWords Tokenized text (case preserved for case-sensitive keywords)
+ * @param {Object} keywordMatcher Keyword matcher from compileKeywordMatchers
+ * @returns {boolean}
+ */
+function matchesKeywordMatcher(textWords, keywordMatcher) {
+  const joinedText = textWords.join(' ');
+  
+  return keywordMatcher.variations.some(variation => {
+    switch (keywordMatcher.match) {
+      case 'substring':
+        return joinedText.includes(variation);
+      
+      case 'prefix': {
+        // Leading words of a phrase must match exactly, the last one only needs to start the same
+        const variationWords = variation.split(' ');
+        const lastWord = variationWords.pop();
+        
+        for (let start = 0; start + variationWords.length < textWords.length; start++) {
+          if (variationWords.every((word, offset) => textWords[start + offset] === word) &&
+              textWords[start + variationWords.length].startsWith(lastWord)) {
+            return true;
+          }
+        }
+        return false;
+      }
+      
+      default:
+        return ` ${joinedText} `.includes(` ${variation} `);
+    }
+  });
+}
+
+/**
+ * Find the keywords with custom match options that text matches
+ * @param {string} rawText Original post text
+ * @param {Object[]} keywordMatchers Keyword matchers from compileKeywordMatchers
+ * @returns {Object[]} Matching keyword matchers
+ */
+function findMatchingKeywordMatchers(rawText, keywordMatchers) {
+  if (!rawText || keywordMatchers.length === 0) return [];
+  
+  const textWords = tokenizeNormalizedText(normalizeText(rawText));
+  const caseSensitiveWords = keywordMatchers.some(keywordMatcher => keywordMatcher.caseSensitive)
+    ? tokenizeNormalizedText(normalizeText(rawText, { preserveCase: true }), { preserveCase: true })
+    : [];
+  
+  return keywordMatchers.filter(keywordMatcher =>
+    matchesKeywordMatcher(keywordMatcher.caseSensitive ? caseSensitiveWords : textWords, keywordMatcher));
+}
+
+/**
+ * Parse and prepare rule expressions ("hiring AND NOT remote") for matching
+ * Word and phrase terms are normalized and stemmed for each enabled language
+ * (and kept unstemmed), regex terms are compiled and hashtag/mention/emoji terms parsed.
+ * Rules with syntax errors are skipped.
+ * @param {string[]} rules Rule sources
+ * @param {(string|null)[]} [languages] Stemming languages from getStemmingLanguages
+ * @returns {{source: string, expression: Object}[]} Compiled rules
+ */
+function compileRuleExpressions(rules, languages = getStemmingLanguages()) {
+  const compiledRules = [];
+  const stemLanguages = Array.from(new Set([null, ...languages]));
+  
+  rules.forEach(source => {
+    try {
+      const expression = parseRuleExpression(source);
+      
+      collectRuleTerms(expression).forEach(term => {
+        if (term.kind === 'regex') {
+          term.regex = compileRegexKeyword(term.value);
+        } else if (term.kind === 'symbol') {
+          term.symbol = parseSymbolKeyword(term.value);
+        } else {
+          const normalized = normalizeKeyword(term.value);
+          term.variations = normalized
+            ? stemLanguages.map(language => {
+              const stem = stemPhrase(normalized, language);
+              return { language, words: stem.split(' '), exact: stem === normalized };
+            })
+            : [];
+        }
+      });
+      
+      compiledRules.push({ source, expression });
+    } catch (error) {
+      console.warn(`[LinkedIn Filter] Skipping invalid rule "${source}":`, error.message);
+    }
+  });
+  
+  console.debug(`[LinkedIn Filter] Compiled ${compiledRules.length} rule expressions`);
+  return compiledRules;
+}
+
+/**
+ * Find where a prepared word/phrase term occurs in tokenized text
+ * @param {Map<string|null, string[]>} stemmedTextWords Tokenized normalized text, stemmed per language
+ *   (see getPostStemming)
+ * @param {Object} term Term node prepared by compileRuleExpressions
+ * @param {boolean} [strict] Whether the language of the post is unknown (see isStemAllowed)
+ * @returns {{start: number, end: number}[]} Word index ranges (end exclusive)
+ */
+function findTermRanges(stemmedTextWords, term, strict = false) {
+  const ranges = [];
+  
+  term.variations.forEach(({ language, words: variationWords, exact }) => {
+    if (!stemmedTextWords.has(language)) return;
+    if (!isStemAllowed(variationWords.join(' '), language, exact ? [language, null] : [language], strict)) return;
+    
+    const textWords = stemmedTextWords.get(language);
+    
+    for (let start = 0; start + variationWords.length <= textWords.length; start++) {
+      if (variationWords.every((word, offset) => textWords[start + offset] === word)) {
+        ranges.push({ start, end: start + variationWords.length });
+      }
+    }
+  });
+  
+  return ranges;
+}
+
+/**
+ * Find the compiled rule expressions text satisfies
+ * @param {string} text Normalized text to check
+ * @param {{source: string, expression: Object}[]} compiledRules Rules from compileRuleExpressions
+ * @param {string} [rawText] Original post text for regex terms (defaults to text)
+ * @param {(string|null)[]} [languages] Stemming languages the rules were compiled with
+ * @param {string} [symbolText] Unfolded post text for hashtag/mention/emoji terms (defaults to rawText)
+ * @param {Object} [postDetails] Links, social counts and language of the post, for domain and engagement terms and stemming
+ * @returns {{source: string, expression: Object}[]} Rules that evaluate to true
+ */
+function findMatchingRules(text, compiledRules, rawText = text, languages = getStemmingLanguages(), symbolText = rawText, postDetails = {}) {
+  const hasDetails = (postDetails.links || []).length > 0 || Boolean(postDetails.engagement);
+  if ((!text && !hasDetails) || compiledRules.length === 0) return [];
+  
+  const textWords = tokenizeNormalizedText(text);
+  const stemming = getPostStemming(languages, postDetails.postLanguage);
+  const stemmedTextWords = new Map(stemming.languages.map(language => [
+    language,
+    textWords.map(textWord => stemWord(textWord, language))
+  ]));
+  const rangeCache = new Map();
+  
+  const rangesOf = term => {
+    if (!rangeCache.has(term)) {
+      rangeCache.set(term, findTermRanges(stemmedTextWords, term, stemming.strict));
+    }
+    return rangeCache.get(term);
+  };
+  
+  const context = {
+    matchesTerm: term => {
+      if (term.regex) return term.regex.test(rawText);
+      if (term.symbol) return matchesSymbolRule(symbolText, term.symbol, postDetails);
+      return rangesOf(term).length > 0;
+    },
+    termsNear: (left, right, distance) => rangesOf(left).some(a => rangesOf(right).some(b => {
+      // Number of words between the two occurrences (0 when adjacent or overlapping)
+      const gap = Math.max(b.start - a.end, a.start - b.end, 0);
+      return gap <= distance;
+    }))
+  };
+  
+  return compiledRules.filter(rule => evaluateRuleExpression(rule.expression, context));
+}
+
+/**
+ * Make a copy of a regex with the global flag, which matchAll needs
+ * @param {RegExp} regex 
+ * @returns {RegExp}
+ */
+function toGlobalRegex(regex) {
+  return new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g');
+}
+
+/**
+ * Find every occurrence of a regex in text
+ * @param {string} text 
+ * @param {RegExp|null} regex Global regex
+ * @returns {{text: string, start: number, end: number}[]} Matched text with character offsets (end exclusive)
+ */
+function findOccurrences(text, regex) {
+  if (!text || !regex) return [];
+  
+  return Array.from(text.matchAll(regex))
+    .filter(match => match[0].length > 0)
+    .map(match => ({ text: match[0], start: match.index, end: match.index + match[0].length }));
+}
+
+/**
+ * Find where a hashtag, mention or emoji rule occurs in raw post text
+ * @param {string} rawText Original post text
+ * @param {Object} symbolRule Rule from compileSymbolRules
+ * @returns {{text: string, start: number, end: number}[]} Occurrences (none for emoji density)
+ */
+function findSymbolOccurrences(rawText, symbolRule) {
+  switch (symbolRule.type) {
+    case 'hashtag':
+    case 'mention':
+      return findOccurrences(rawText, buildSymbolRegex(symbolRule, 'giu'));
+    case 'emoji':
+      return findOccurrences(rawText, EMOJI_REGEX)
+        .filter(occurrence => symbolRule.value.includes(normalizeEmoji(occurrence.text)));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Compile a keyword list on its own into filters findPostMatches can run
+ * Used for the allow list of hybrid profiles and for exception terms
+ * @param {string[]} words Keyword list entries
+ * @param {Object} [keywordOptions] Per-keyword options of the profile
+ * @param {(string|null)[]} [languages] Stemming languages of the profile
+ * @returns {Object} Filters without rule expressions
+ */
+function compileKeywordFilters(words, keywordOptions = {}, languages = getStemmingLanguages()) {
+  const keywordStems = mapKeywordStems(words, keywordOptions, languages);
+  const wordSet = new Set(keywordStems.keys());
+  getWordMatcher(keywordStems);
+  
+  return {
+    wordSet,
+    keywordStems,
+    regexRules: compileRegexRules(words),
+    keywordMatchers: compileKeywordMatchers(words, keywordOptions),
+    symbolRules: compileSymbolRules(words),
+    ruleExpressions: [],
+    keywordOptions,
+    languages
+  };
+}
+
+/**
+ * Check if compiled filters have anything to match against
+ * @param {Object|null} filters 
+ * @returns {boolean}
+ */
+function hasKeywordFilters(filters) {
+  return Boolean(filters) && (filters.wordSet.size > 0 || filters.regexRules.length > 0 ||
+    filters.keywordMatchers.length > 0 || filters.symbolRules.length > 0 || filters.ruleExpressions.length > 0);
+}
+
+// Symbol rules matched against a post's links and social counts rather than its text
+const POST_DETAIL_RULE_TYPES = ['domain', 'engagement'];
+
+/**
+ * Check if compiled filters have domain or engagement entries, alone or inside rule expressions,
+ * which are the only ones that can match a post without text
+ * @param {Object|null} filters 
+ * @returns {boolean}
+ */
+function hasPostDetailRules(filters) {
+  if (!filters) return false;
+  
+  const isDetailRule = symbolRule => Boolean(symbolRule) && POST_DETAIL_RULE_TYPES.includes(symbolRule.type);
+  
+  return filters.symbolRules.some(isDetailRule) ||
+    filters.ruleExpressions.some(rule => collectRuleTerms(rule.expression).some(term => isDetailRule(term.symbol)));
+}
+
+/**
+ * Compile exception terms into filters findPostMatches can run
+ * Terms are written like keyword list entries (words, phrases, regexes, hashtags, ...)
+ * and always matched the default way
+ * @param {string[]} terms Exception terms
+ * @param {(string|null)[]} [languages] Stemming languages of the profile
+ * @returns {Object|null} Filters, or null when there are no exceptions
+ */
+function compileExceptionFilters(terms, languages = getStemmingLanguages()) {
+  if (!terms || terms.length === 0) return null;
+  
+  console.debug(`[LinkedIn Filter] Compiling ${terms.length} exception terms`);
+  return compileKeywordFilters(terms, {}, languages);
+}
+
+/**
+ * Find every keyword list entry and rule that matches a post
+ * Each match explains itself: the list entry, its normalized keyword, the variation
+ * that matched (stem, regex, literal form, ...) and where it occurs in the raw text.
+ * Occurrences can be empty when only the folded text matched (spaced-out letters,
+ * emoji density, rule expressions).
+ * @param {string} text Normalized post text
+ * @param {string} rawText Original post text
+ * @param {Object} filters Compiled filters (see scorePost)
+ * @param {Object} [postDetails] Links, social counts and language of the post, for domain and engagement entries and stemming
+ * @returns {Object[]} One match per entry:
+ *   {entry, type, keyword, variation, language, weight, occurrences: {text, start, end}[]}
+ */
+function findPostMatches(text, rawText, filters, postDetails = {}) {
+  const { languages, keywordOptions = {} } = filters;
+  const matches = [];
+  
+  const addMatch = (entry, type, details) => {
+    if (matches.some(match => match.entry === entry && match.type === type)) return;
+    
+    matches.push({
+      entry,
+      type,
+      keyword: type === 'keyword' ? normalizeKeyword(entry) : entry,
+      variation: details.variation,
+      language: details.language === undefined ? null : details.language,
+      weight: type === 'rule' ? 1 : getKeywordOptions(entry, keywordOptions).weight,
+      occurrences: details.occurrences || []
+    });
+  };
+  
+  // Regexes see the original text, but with fancy letters folded so /hiring/ catches 𝗵𝗶𝗿𝗶𝗻𝗴
+  const foldedRawText = foldFancyText(rawText);
+  
+  const matchedWords = findMatchedWords(text, filters.keywordStems, languages, postDetails.postLanguage);
+  if (matchedWords.size > 0) {
+    const located = findStemmedKeywordMatches(rawText, filters.keywordStems, languages, postDetails.postLanguage);
+    
+    matchedWords.forEach(word => {
+      const wordMatches = located.filter(match => match.word === word);
+      const occurrences = wordMatches.map(match => ({ text: match[0], start: match.index, end: match.index + match[0].length }));
+      const language = wordMatches.length > 0 ? wordMatches[0].language : languages[0];
+      
+      filters.keywordStems.get(word).entries.forEach(entry => addMatch(entry, 'keyword', { variation: word, language, occurrences }));
+    });
+  }
+  
+  filters.regexRules.forEach(({ keyword, regex }) => {
+    if (foldedRawText && regex.test(foldedRawText)) {
+      addMatch(keyword, 'regex', { variation: regex.toString(), occurrences: findOccurrences(rawText, toGlobalRegex(regex)) });
+    }
+  });
+  
+  findMatchingKeywordMatchers(rawText, filters.keywordMatchers).forEach(keywordMatcher => {
+    addMatch(keywordMatcher.keyword, 'keyword', {
+      variation: keywordMatcher.variations[0],
+      occurrences: findOccurrences(rawText, buildHighlightRegex(keywordMatcher.variations, keywordMatcher))
+    });
+  });
+  
+  findMatchingSymbolRules(rawText, filters.symbolRules, postDetails).forEach(symbolRule => {
+    addMatch(symbolRule.keyword, 'symbol', {
+      variation: describeSymbolMatch(rawText, symbolRule, postDetails),
+      occurrences: findSymbolOccurrences(rawText, symbolRule)
+    });
+  });
+  
+  findMatchingRules(text, filters.ruleExpressions, foldedRawText, languages, rawText, postDetails)
+    .forEach(rule => addMatch(rule.source, 'rule', { variation: rule.source }));
+  
+  return matches;
+}
+
+/**
+ * Describe what a matched symbol rule saw: its type, the emoji density, the linked hosts
+ * or the social count
+ * @param {string} rawText Original post text
+ * @param {Object} symbolRule Matched rule from compileSymbolRules
+ * @param {Object} postDetails Links and social counts of the post
+ * @returns {string}
+ */
+function describeSymbolMatch(rawText, symbolRule, postDetails) {
+  switch (symbolRule.type) {
+    case 'emojiDensity':
+      return `${Math.round(getEmojiDensity(rawText))}% emoji`;
+    case 'domain':
+      return (postDetails.links || []).filter(host => matchesDomainRule(host, symbolRule)).join(', ');
+    case 'engagement':
+      return `${symbolRule.metric} = ${Math.round(getEngagementMetric(postDetails.engagement, symbolRule.metric) * 100) / 100}`;
+    default:
+      return symbolRule.type;
+  }
+}
+
+/**
+ * Score a post against the keyword list and rule expressions
+ * Every matched entry adds its weight once (rules always weigh 1); the caller
+ * compares the total with the profile's score threshold. A keyword does not count
+ * when one of its exceptions also appears in the post.
+ * @param {string} text Normalized post text
+ * @param {string} rawText Original post text
+ * @param {Object} filters Compiled filters of the current profile
+ * @param {Set<string>} filters.wordSet Normalized, stemmed keywords
+ * @param {Map<string, Object>} filters.keywordStems Stemmed keywords -> keyword list entries and languages
+ * @param {{keyword: string, regex: RegExp}[]} filters.regexRules Compiled regex keywords
+ * @param {Object[]} filters.keywordMatchers Keywords with custom match options
+ * @param {Object[]} filters.symbolRules Hashtag, mention, emoji and domain rules
+ * @param {Object[]} filters.ruleExpressions Compiled rule expressions
+ * @param {Object} filters.keywordOptions Per-keyword options holding the weights and exceptions
+ * @param {Object|null} [filters.exceptionFilters] Compiled exception terms (see compileExceptionFilters)
+ * @param {(string|null)[]} filters.languages Stemming languages everything was compiled with
+ * @param {Object} [postDetails] Links, social counts and language of the post, for domain and engagement entries and stemming
+ * @param {string[]} [postDetails.links] Hosts the post links to (see extractPostLinks)
+ * @param {Object|null} [postDetails.engagement] Social counts (see extractEngagement)
+ * @param {string|null} [postDetails.postLanguage] Detected language of the post, which its words are stemmed in
+ * @returns {{score: number, matches: Object[], excused: Object[], exceptions: Object[]}} Total score,
+ *   the matches it adds up (see findPostMatches), the matches cancelled by an exception (with the
+ *   cancelling terms in `exceptions`) and every exception term found in the post
+ */
+function scorePost(text, rawText, filters, postDetails = {}) {
+  const { keywordOptions = {}, exceptionFilters = null } = filters;
+  const exceptions = exceptionFilters ? findPostMatches(text, rawText, exceptionFilters, postDetails) : [];
+  const foundTerms = new Set(exceptions.map(exception => exception.entry));
+  const matches = [];
+  const excused = [];
+  
+  findPostMatches(text, rawText, filters, postDetails).forEach(match => {
+    const cancelledBy = match.type === 'rule'
+      ? []
+      : getKeywordOptions(match.entry, keywordOptions).exceptions.filter(term => foundTerms.has(term));
+    
+    if (cancelledBy.length > 0) {
+      excused.push({ ...match, exceptions: cancelledBy });
+    } else {
+      matches.push(match);
+    }
+  });
+  
+  // Rounded so weights like 0.1 + 0.2 do not miss a threshold of 0.3
+  const score = Math.round(matches.reduce((total, match) => total + match.weight, 0) * 1000) / 1000;
+  
+  if (matches.length > 0 || excused.length > 0) {
+    console.debug(`[LinkedIn Filter] Post scored ${score}:`, { matches, excused, exceptions });
+  }
+  
+  return { score, matches, excused, exceptions };
+}
+
+/**
+ * Build a regex that finds any of the given keywords/phrases in original post text
+ * Words of a phrase may be separated by any run of whitespace or punctuation,
+ * mirroring how normalizeText collapses them before matching. Keywords in scripts
+ * without spaces are matched without word boundaries.
+ * @param {Set<string>|string[]} keywords Normalized keywords and phrases
+ * @param {Object} [options] Keyword match options (match type and case sensitivity)
+ * @returns {RegExp|null} Global, case-insensitive regex or null if there is nothing to match
+ */
+function buildHighlightRegex(keywords, { match = 'word', caseSensitive = false } = {}) {
+  const patterns = Array.from(keywords)
+    .filter(keyword => keyword && keyword.length > 0)
+    // Longest first so a phrase wins over a single word it contains
+    .sort((a, b) => b.length - a.length)
+    .map(keyword => {
+      const unspaced = UNSPACED_SCRIPT_REGEX.test(keyword);
+      const pattern = keyword
+        .split(/\s+/)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join(unspaced ? '[^\\p{L}\\p{M}\\p{N}]*' : '[^\\p{L}\\p{M}\\p{N}]+');
+      
+      if (unspaced || match === 'substring') return pattern;
+      
+      // Highlight the whole word that starts with a prefix keyword
+      const end = match === 'prefix' ? '[\\p{L}\\p{M}\\p{N}_]*' : '(?![\\p{L}\\p{M}\\p{N}_])';
+      return `(?<![\\p{L}\\p{M}\\p{N}_])${pattern}${end}`;
+    });
+  
+  if (patterns.length === 0) return null;
+  
+  return new RegExp(patterns.join('|'), caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Find the words and phrases of a text node whose stems are keyword stems
+ * Each candidate is normalized and stemmed exactly like post text during matching,
+ * so inflected and accented forms ("Contratações", "hired") are found too
+ * @param {string} text Original text
+ * @param {Map<string, Object>} keywordStems Stemmed words/phrases from mapKeywordStems
+ * @param {(string|null)[]} languages Stemming languages the stems were built with
+ * @param {string|null} [postLanguage] Detected language of the post
+ * @returns {{0: string, index: number, word: string, language: (string|null)}[]} Match-like objects
+ *   with the stemmed form found and the language it was stemmed for
+ */
+function findStemmedKeywordMatches(text, keywordStems, languages, postLanguage = null) {
+  const lengths = getWordMatcher(keywordStems).phraseLengths;
+  const stemming = getPostStemming(languages, postLanguage);
+  const textTokens = findWordTokens(text);
+  const matches = [];
+  
+  for (let start = 0; start < textTokens.length; start++) {
+    let found = null;
+    
+    for (const length of lengths) {
+      if (start + length > textTokens.length) continue;
+      
+      const tokens = textTokens.slice(start, start + length);
+      const normalized = tokenizeNormalizedText(normalizeText(tokens.map(token => token[0]).join(' ')));
+      
+      // Spaced-out letters collapse while normalizing, so "h i r" would pass for "hir"
+      if (normalized.length !== length) continue;
+      
+      const language = stemming.languages.find(candidate => {
+        const stem = normalized.map(word => stemWord(word, candidate)).join(' ');
+        return keywordStems.has(stem) && isStemAllowed(stem, candidate, keywordStems.get(stem).languages, stemming.strict);
+      });
+      
+      if (language !== undefined) {
+        found = { length, language, word: normalized.map(word => stemWord(word, language)).join(' ') };
+        break;
+      }
+    }
+    
+    if (found) {
+      const first = textTokens[start];
+      const last = textTokens[start + found.length - 1];
+      const match = [text.slice(first.index, last.index + last[0].length)];
+      match.index = first.index;
+      match.word = found.word;
+      match.language = found.language;
+      matches.push(match);
+      start += found.length - 1;
+    }
+  }
+  
+  return matches;
+}
+
+/**
+ * Collect non-overlapping matches of several regexes in a text, in text order
+ * Earlier and longer matches win when two regexes overlap
+ * @param {string} text 
+ * @param {{regex: RegExp, entry: string}[]} highlightRegexes Global regexes with the entry each one stands for
+ * @param {RegExpMatchArray[]} [extraMatches] Matches found by other means
+ * @returns {RegExpMatchArray[]} Matches sorted by index, with the matched entry when known
+ */
+function findHighlightMatches(text, highlightRegexes, extraMatches = []) {
+  const candidates = [...extraMatches];
+  
+  highlightRegexes.forEach(({ regex, entry }) => {
+    for (const match of text.matchAll(regex)) {
+      // Zero-length regex matches have nothing to highlight
+      if (match[0].length > 0) {
+        match.entry = entry;
+        candidates.push(match);
+      }
+    }
+  });
+  
+  candidates.sort((a, b) => a.index - b.index || b[0].length - a[0].length);
+  
+  const matches = [];
+  let lastEnd = 0;
+  
+  candidates.forEach(match => {
+    if (match.index >= lastEnd) {
+      matches.push(match);
+      lastEnd = match.index + match[0].length;
+    }
+  });
+  
+  return matches;
+}
+
+/**
+ * Highlight found keywords by converting them to bold in the post text
+ * Preserves all original formatting while making keywords bold
+ * Multi-word phrases are highlighted as a single span
+ * @param {HTMLElement} postElement 
+ * @param {Object} filters Compiled filters of the current profile (see scorePost)
+ * @param {string|null} [postLanguage] Detected language of the post, which its words are stemmed in
+ */
+function highlightFoundKeywords(postElement, filters, postLanguage = null) {
+  const { keywordStems = new Map(), regexRules = [], keywordMatchers = [], symbolRules = [], languages = getStemmingLanguages() } = filters;
+  const highlightRegexes = [];
+  const hasWords = keywordStems.size > 0;
+  
+  keywordMatchers.forEach(keywordMatcher => {
+    const matcherRegex = buildHighlightRegex(keywordMatcher.variations, keywordMatcher);
+    if (matcherRegex) {
+      highlightRegexes.push({ regex: matcherRegex, entry: keywordMatcher.keyword });
+    }
+  });
+  
+  symbolRules.forEach(symbolRule => {
+    if (symbolRule.type === 'hashtag' || symbolRule.type === 'mention') {
+      highlightRegexes.push({ regex: buildSymbolRegex(symbolRule, 'giu'), entry: symbolRule.keyword });
+    }
+  });
+  
+  regexRules.forEach(({ keyword, regex }) => {
+    highlightRegexes.push({ regex: toGlobalRegex(regex), entry: keyword });
+  });
+  
+  if (!hasWords && highlightRegexes.length === 0) return;
+  
+  try {
+    const textElements = getTextContentElements(postElement);
+    
+    textElements.forEach(textElement => {
+      if (textElement.hasAttribute('data-lkw-highlighted')) return; // Skip if already highlighted
+      
+      // Store original HTML content to preserve formatting
+      const originalHTML = textElement.innerHTML;
+      
+      // Create a temporary container to work with the HTML
+      const tempContainer = document.createElement('div');
+      tempContainer.innerHTML = originalHTML;
+      
+      let hasChanges = false;
+      
+      // Function to process text nodes and make keywords bold
+      function processTextNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+          const text = node.textContent;
+          
+          // Stemmed keywords plus a single pass per regex over the text node
+          const stemmedMatches = hasWords ? findStemmedKeywordMatches(text, keywordStems, languages, postLanguage) : [];
+          const matches = findHighlightMatches(text, highlightRegexes, stemmedMatches);
+          
+          if (matches.length > 0) {
+            hasChanges = true;
+            
+            // Create a document fragment to hold the processed content
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            
+            matches.forEach(match => {
+              const matchIndex = match.index;
+              
+              // Add text before the match
+              if (matchIndex > lastIndex) {
+                fragment.appendChild(document.createTextNode(text.substring(lastIndex, matchIndex)));
+              }
+              
+              // Create bold element for the keyword
+              const boldElement = document.createElement('strong');
+              boldElement.textContent = match[0];
+              boldElement.style.fontWeight = 'bold';
+              boldElement.style.color = '#0a66c2'; // LinkedIn blue color
+              
+              // Tell which list entry the highlight comes from
+              const entries = match.entry ? [match.entry] : keywordStems.get(match.word).entries;
+              if (entries.length > 0) {
+                boldElement.title = `Matched: ${entries.join(', ')}`;
+              }
+              fragment.appendChild(boldElement);
+              
+              lastIndex = matchIndex + match[0].length;
+            });
+            
+            // Add remaining text after the last match
+            if (lastIndex < text.length) {
+              fragment.appendChild(document.createTextNode(text.substring(lastIndex)));
+            }
+            
+            // Replace the text node with the fragment
+            node.parentNode.replaceChild(fragment, node);
+          }
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+          // Recursively process child nodes to preserve nested formatting
+          Array.from(node.childNodes).forEach(childNode => {
+            processTextNode(childNode);
+          });
+        }
+      }
+      
+      // Process all nodes in the container
+      Array.from(tempContainer.childNodes).forEach(processTextNode);
+      
+      // Only update if changes were made
+      if (hasChanges) {
+        textElement.innerHTML = tempContainer.innerHTML;
+        textElement.setAttribute('data-lkw-highlighted', '1');
+        console.debug('[LinkedIn Filter] Keywords highlighted in bold while preserving formatting');
+      }
+    });
+    
+  } catch (error) {
+    console.error('[LinkedIn Filter] Error highlighting keywords:', error);
+  }
+}
+
+/**
+ * Remove keyword highlighting from a post
+ * @param {HTMLElement} postElement 
  */
 function removeKeywordHighlighting(postElement) {
   try {
@@ -409,6 +1840,133 @@ function removeKeywordHighlighting(postElement) {
   }
 }
 
+// Comments and replies under posts; replies are nested inside their comment
+const COMMENT_SELECTORS = [
+  'article.comments-comment-entity',
+  'article.comments-comment-item',
+  '.comments-reply-item'
+];
+
+// Lists of replies, which stay visible when their comment is collapsed
+const COMMENT_REPLIES_SELECTOR = '.comments-replies-list, .comments-comment-item__replies-list, .comments-comment-entity__replies-list';
+
+/**
+ * Get the comments and replies inside an element (the page, a post or added nodes),
+ * and the comment the element belongs to when it was added inside one
+ * @param {Element|Document} [root] 
+ * @returns {Set<HTMLElement>}
+ */
+function getComments(root = document) {
+  const comments = new Set();
+  const selector = COMMENT_SELECTORS.join(', ');
+  
+  const container = root.closest ? root.closest(selector) : null;
+  if (container) {
+    comments.add(container);
+  }
+  
+  root.querySelectorAll(selector).forEach(comment => comments.add(comment));
+  return comments;
+}
+
+/**
+ * Extract the text of a comment or reply, without the text of its replies
+ * @param {HTMLElement} commentElement 
+ * @returns {string}
+ */
+function extractCommentText(commentElement) {
+  const selectors = [
+    '.comments-comment-item__main-content',
+    '.comments-comment-entity__content .update-components-text',
+    '.comments-reply-item__main-content',
+    '.comments-comment-item-content-body'
+  ];
+  const commentSelector = COMMENT_SELECTORS.join(', ');
+  
+  for (const selector of selectors) {
+    const element = Array.from(commentElement.querySelectorAll(selector))
+      .find(candidate => candidate.closest(commentSelector) === commentElement);
+    
+    if (element) {
+      return element.textContent || '';
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Collapse a comment to a one-line placeholder that shows it again when clicked
+ * Its replies stay visible; they are filtered on their own
+ * @param {HTMLElement} commentElement 
+ * @param {string} reason Short explanation, e.g. the matched entries
+ */
+function collapseComment(commentElement, reason) {
+  if (commentElement.getAttribute('data-lkw-collapsed') === '1') return;
+  
+  Array.from(commentElement.children).forEach(child => {
+    if (child.matches(COMMENT_REPLIES_SELECTOR) || child.querySelector(COMMENT_REPLIES_SELECTOR)) return;
+    
+    child.setAttribute('data-lkw-collapsed-part', '1');
+    child.style.display = 'none';
+  });
+  
+  const placeholder = document.createElement('div');
+  placeholder.className = 'lkw-comment-placeholder';
+  placeholder.setAttribute('role', 'button');
+  placeholder.tabIndex = 0;
+  placeholder.style.cssText = 'padding: 4px 8px; font-size: 12px; color: #666; font-style: italic; cursor: pointer;';
+  placeholder.textContent = `Comment hidden (${reason}) · Show`;
+  placeholder.title = 'Hidden by LinkedIn Keyword Filter';
+  
+  const reveal = event => {
+    event.preventDefault();
+    event.stopPropagation();
+    expandComment(commentElement);
+  };
+  placeholder.addEventListener('click', reveal);
+  placeholder.addEventListener('keydown', event => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      reveal(event);
+    }
+  });
+  
+  commentElement.insertBefore(placeholder, commentElement.firstChild);
+  commentElement.setAttribute('data-lkw-collapsed', '1');
+  console.debug('[LinkedIn Filter] Comment collapsed');
+}
+
+/**
+ * Show a collapsed comment again
+ * @param {HTMLElement} commentElement 
+ */
+function expandComment(commentElement) {
+  commentElement.querySelectorAll('[data-lkw-collapsed-part]').forEach(part => {
+    if (part.parentElement !== commentElement) return;
+    
+    part.style.display = '';
+    part.removeAttribute('data-lkw-collapsed-part');
+  });
+  
+  Array.from(commentElement.children)
+    .filter(child => child.classList.contains('lkw-comment-placeholder'))
+    .forEach(placeholder => placeholder.remove());
+  
+  commentElement.removeAttribute('data-lkw-collapsed');
+}
+
+/**
+ * Expand every collapsed comment and clear their processing markers
+ */
+function resetCommentMarkers() {
+  const comments = getComments();
+  comments.forEach(comment => {
+    expandComment(comment);
+    comment.removeAttribute('data-lkw-comment-processed');
+  });
+  console.debug(`[LinkedIn Filter] Reset processing markers on ${comments.size} comments`);
+}
+
 /**
  * Hide a post element
  * @param {HTMLElement} postElement 
@@ -455,6 +2013,8 @@ function resetProcessingMarkers() {
     post.removeAttribute('data-lkw-processed');
     post.removeAttribute('data-lkw-expanded');
     post.removeAttribute('data-lkw-highlighted');
+    post.removeAttribute('data-lkw-score');
+    post.removeAttribute('data-lkw-matches');
   });
   console.debug(`[LinkedIn Filter] Reset processing markers on ${posts.size} posts`);
 }
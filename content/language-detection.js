@@ -0,0 +1,178 @@
+/**
+ * LinkedIn Keyword Filter - Language Detection
+ * Offline language identification of post text: the writing system settles languages
+ * with a script of their own (Devanagari, Arabic, Cyrillic, CJK), and character trigram
+ * profiles tell Latin-script languages apart
+ */
+
+// Languages a profile can show or hide, by ISO 639-1 code (keep in sync with popup.html)
+const DETECTABLE_LANGUAGES = {
+  en: 'English',
+  pt: 'Portuguese',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  nl: 'Dutch',
+  hi: 'Hindi',
+  ar: 'Arabic',
+  ru: 'Russian',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean'
+};
+
+// Scripts identifying a language on their own; Han with kana is Japanese, without it Chinese
+const SCRIPT_LANGUAGES = [
+  ['hi', /\p{Script=Devanagari}/u],
+  ['ar', /\p{Script=Arabic}/u],
+  ['ru', /\p{Script=Cyrillic}/u],
+  ['ko', /\p{Script=Hangul}/u],
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ['zh', /\p{Script=Han}/u],
+  ['latin', /\p{Script=Latin}/u]
+];
+
+// Most frequent trigrams of each Latin-script language, most frequent first ("_" marks a word boundary)
+const TRIGRAM_PROFILES = {
+  en: '_th the he_ _an and nd_ ing ng_ _to _of of_ _in ion ed_ _a_ er_ tio ent is_ _co re_ es_ on_ at_ ' +
+    'for _fo or_ _is _be hat _wh tha _ha ly_ _wi wit ith th_ you _yo ou_ our ter _re al_ her ere all ver ' +
+    '_it it_ _we we_ _ma ati ons ect ay_ _pr pro are _ar st_ _on thi his ave hav _so _st an_ ts_ _ne ew_ ' +
+    'new ll_ ill _wo ork wor rk_ ess',
+  pt: '_de de_ _qu que ue_ os_ _co ão_ ção çõe ões es_ _a_ _e_ _o_ as_ do_ da_ _do _da _pa par ara ra_ ' +
+    'com om_ _se _em em_ nte ent men _pr _es est ar_ ado ida dad ade _no _na no_ na_ _um um_ uma ma_ ' +
+    '_ma mos _nã não _vo voc ocê cê_ ica _po por or_ sta ter _te nto to_ _me lho tra rab aba bal ho_ ' +
+    'vag aga ga_ _pe _ca ria _tr _ci nci ais is_ _vi _ex',
+  es: '_de de_ _la la_ _qu que ue_ _el el_ _en en_ os_ es_ _lo los as_ _co _y_ ión ón_ ció _se _es est ' +
+    '_un un_ una _po por or_ _pa par ara ra_ con on_ nte ent ado ada dad ida _su _al al_ _me ien mos ' +
+    '_tr tra ajo jo_ _má más ás_ _pe ero _ha ndo do_ año ños _nu nue uev eva _ca _mu muy uy_ ña_ ' +
+    'nci cia ia_ _ti _mi _ho _pu _to',
+  fr: '_de de_ es_ _le le_ _la la_ ent nt_ _et et_ ion on_ les _pa par _qu que ue_ _co _un une ne_ _en ' +
+    'en_ _po pou our ur_ _pr _re _au ous _no nou vou _vo _di ait ais _es est st_ _ce ce_ _se eur re_ ' +
+    'té_ _à_ _du du_ _ét été ée_ ées _av ave oir ir_ men _so _ma _do _tr tre _ch _il il_ _fa _pl _sa ' +
+    'ux_ eux _ne _ve _mo',
+  de: '_de der er_ die ie_ _di und nd_ _un ein _ei ich ch_ sch _sc che den en_ _da das as_ _ge gen ' +
+    'ung ng_ _zu zu_ ten ter _be _ni nic cht ht_ ist st_ _is _mi mit it_ _au auf uf_ _fü für ür_ _wi ' +
+    '_ve ver _si sie _ic eit ine ne_ _we _an lic hen ere rbe bei _ar _ha _ne neu eue _mö wir ir_ ' +
+    'kei _ke _so _wa _al ste',
+  it: '_di di_ _la la_ _il il_ _ch che he_ _co _de del ell lla _pe per er_ _in _un una na_ to_ _e_ ' +
+    'ato ent one ne_ ion zio _al all _ne nel _so _qu _st sta are re_ _pr ità tà_ _no non on_ _mi _si ' +
+    '_è_ gli _gl li_ _pa lav avo oro ro_ _ca _se _fa _da _le le_ _sp _tr ono _ha _ci _an tto _og ogg',
+  nl: '_de de_ en_ _he het et_ _ee een _va van an_ _in _da dat at_ ij_ _ij _zi _we _vo voo oor or_ ' +
+    '_me met _ni nie iet _op op_ _te _aa aan _is is_ _ve ver _ge gen _ze cht sch _sc _wo ord _oo ook ' +
+    'ok_ erk _ku ijk lij _al _ma _wa _bi _hi _ja eer ere _ui uit _na _mo _ha ied'
+};
+
+// Minimum letters a text needs for a reliable guess, and the share of trigrams the best
+// profile must cover
+const MIN_DETECTION_LETTERS = 20;
+const MIN_TRIGRAM_SCORE = 0.05;
+
+// Lead over the runner-up a guess needs before a post is hidden for its language; close
+// languages such as Spanish and Portuguese often score within a few points of each other
+const MIN_LANGUAGE_CONFIDENCE = 0.1;
+
+// Trigram profiles compiled into trigram -> weight maps on first use
+let trigramWeights = null;
+
+/**
+ * Compile the trigram profiles into weight maps, the most frequent trigrams weighing the most
+ * @returns {Object<string, Map<string, number>>}
+ */
+function getTrigramWeights() {
+  if (trigramWeights) return trigramWeights;
+  
+  trigramWeights = {};
+  Object.entries(TRIGRAM_PROFILES).forEach(([language, profile]) => {
+    const trigrams = profile.split(' ').map(trigram => trigram.replace(/_/g, ' '));
+    const weights = new Map();
+    
+    trigrams.forEach((trigram, rank) => {
+      if (!weights.has(trigram)) weights.set(trigram, 1 - rank / (2 * trigrams.length));
+    });
+    
+    trigramWeights[language] = weights;
+  });
+  
+  return trigramWeights;
+}
+
+/**
+ * Count the space-padded trigrams of the words of a text
+ * @param {string[]} words Lowercase words
+ * @returns {{counts: Map<string, number>, total: number}}
+ */
+function countTrigrams(words) {
+  const counts = new Map();
+  let total = 0;
+  
+  words.forEach(word => {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const trigram = padded.slice(i, i + 3);
+      counts.set(trigram, (counts.get(trigram) || 0) + 1);
+      total++;
+    }
+  });
+  
+  return { counts, total };
+}
+
+/**
+ * Find the language a text is written in
+ * Links, hashtags and mentions are left out; text too short for a reliable guess,
+ * or in a language without a profile, is not given one
+ * @param {string} text Raw post text, e.g. from extractPostText
+ * @returns {{language: string, confidence: number}|null} ISO 639-1 code and a 0-1 confidence,
+ *   or null when undetermined
+ */
+function detectLanguage(text) {
+  if (!text) return null;
+  
+  const cleaned = text
+    .replace(/https?:\/\/\S+|www\.\S+/gi, ' ')
+    .replace(/[#@][\p{L}\p{M}\p{N}_]+/gu, ' ')
+    .toLowerCase();
+  
+  const letters = cleaned.match(/\p{L}/gu) || [];
+  if (letters.length < MIN_DETECTION_LETTERS) return null;
+  
+  // Letters per script, the first matching entry of SCRIPT_LANGUAGES counting each letter
+  const scriptCounts = new Map();
+  letters.forEach(letter => {
+    const entry = SCRIPT_LANGUAGES.find(([, regex]) => regex.test(letter));
+    if (entry) scriptCounts.set(entry[0], (scriptCounts.get(entry[0]) || 0) + 1);
+  });
+  
+  // Japanese mixes kana with Han, so any real share of kana makes Han text Japanese
+  if (scriptCounts.get('zh') && (scriptCounts.get('ja') || 0) >= letters.length * 0.1) {
+    scriptCounts.set('ja', scriptCounts.get('ja') + scriptCounts.get('zh'));
+    scriptCounts.delete('zh');
+  }
+  
+  const [script, scriptCount] = Array.from(scriptCounts.entries())
+    .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+  
+  if (!script || scriptCount < letters.length / 2) return null;
+  
+  if (script !== 'latin') {
+    return { language: script, confidence: scriptCount / letters.length };
+  }
+  
+  const words = (cleaned.match(/[\p{L}\p{M}]+/gu) || []).filter(word => /\p{Script=Latin}/u.test(word));
+  const { counts, total } = countTrigrams(words);
+  
+  const scores = Object.entries(getTrigramWeights()).map(([language, weights]) => {
+    let score = 0;
+    counts.forEach((count, trigram) => {
+      score += count * (weights.get(trigram) || 0);
+    });
+    return { language, score: score / total };
+  }).sort((a, b) => b.score - a.score);
+  
+  const [best, second] = scores;
+  if (best.score < MIN_TRIGRAM_SCORE) return null;
+  
+  // How far ahead of the runner-up the best profile is
+  return { language: best.language, confidence: Math.min(1, (best.score - second.score) / best.score) };
+}
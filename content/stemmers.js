@@ -0,0 +1,208 @@
+/**
+ * LinkedIn Keyword Filter - Stemmers
+ * Light suffix-stripping stemmers so a keyword matches its inflections
+ * ("hire" -> "hiring", "hired"; "recrutador" -> "recrutadores", "recrutadora")
+ * Words are expected to be normalized already (lowercase, no accents)
+ */
+
+// Languages a profile can enable for stemming
+const STEMMING_LANGUAGES = {
+  en: 'English',
+  pt: 'Portuguese'
+};
+
+// Posts in an unknown language are stemmed in every language, where shorter stems collide
+// across languages ("data" and "date" both give "dat")
+const MIN_CROSS_LANGUAGE_STEM_LENGTH = 4;
+
+// Stems are cached per language since the same words show up in post after post
+const stemCache = new Map();
+const STEM_CACHE_LIMIT = 20000;
+
+/**
+ * Check if a string contains a vowel
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasVowel(text) {
+  return /[aeiouy]/.test(text);
+}
+
+/**
+ * Light English stemmer (plurals, -ing, -ed, final -e, -y)
+ * @param {string} word Normalized word
+ * @returns {string} Stem
+ */
+function stemEnglish(word) {
+  if (word.length <= 3) return word;
+
+  let stem = word;
+
+  // Plurals: companies -> company, classes -> class, jobs -> job
+  if (stem.endsWith('ies') && stem.length > 4) {
+    stem = stem.slice(0, -3) + 'y';
+  } else if (/(?:ss|ch|sh|x|z)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !/(?:ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Verb forms: hiring -> hir, hired -> hir (keeping a vowel in what is left)
+  let strippedVerbSuffix = false;
+  if (stem.endsWith('ing') && stem.length > 5 && hasVowel(stem.slice(0, -3))) {
+    stem = stem.slice(0, -3);
+    strippedVerbSuffix = true;
+  } else if (stem.endsWith('ed') && !stem.endsWith('eed') && stem.length > 4 && hasVowel(stem.slice(0, -2))) {
+    stem = stem.slice(0, -2);
+    strippedVerbSuffix = true;
+  }
+
+  // Undouble: planning -> plann -> plan
+  if (strippedVerbSuffix && /([^aeiouslz])\1$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Final -e and -y: hire -> hir, company -> compani (studies/studied meet here too)
+  if (stem.endsWith('e') && stem.length > 3) {
+    stem = stem.slice(0, -1);
+  } else if (/[^aeiou]y$/.test(stem) && stem.length > 3) {
+    stem = stem.slice(0, -1) + 'i';
+  }
+
+  return stem;
+}
+
+/**
+ * Light Portuguese stemmer (plurals, feminine, common verb forms, final vowel)
+ * @param {string} word Normalized word (accents already removed)
+ * @returns {string} Stem
+ */
+function stemPortuguese(word) {
+  if (word.length <= 3) return word;
+
+  let stem = word;
+
+  // Plurals: contratacoes -> contratacao, profissionais -> profissional,
+  // homens -> homem, recrutadores -> recrutador, vagas -> vaga
+  if (/(?:oes|aes)$/.test(stem)) {
+    stem = stem.slice(0, -3) + 'ao';
+  } else if (stem.endsWith('ais') && stem.length > 4) {
+    stem = stem.slice(0, -3) + 'al';
+  } else if (stem.endsWith('eis') && stem.length > 4) {
+    stem = stem.slice(0, -3) + 'el';
+  } else if (stem.endsWith('ns')) {
+    stem = stem.slice(0, -2) + 'm';
+  } else if (/[rz]es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !/(?:ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Feminine: recrutadora -> recrutador
+  if (stem.endsWith('ora') && stem.length > 4) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Verb forms: contratando, contratado, contratada, contratar -> contrat
+  const verbSuffix = ['ando', 'endo', 'indo', 'ado', 'ada', 'ido', 'ida', 'ar', 'er', 'ir']
+    .find(suffix => stem.endsWith(suffix) && stem.length - suffix.length >= 4);
+  if (verbSuffix) {
+    return stem.slice(0, -verbSuffix.length);
+  }
+
+  // Final vowel: vaga -> vag, carreira -> carreir, trabalho -> trabalh
+  if (/[aeo]$/.test(stem) && stem.length > 3) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stem;
+}
+
+/**
+ * Stem a single word for a language
+ * @param {string} word Normalized word
+ * @param {string|null} language Language code, or null for no stemming
+ * @returns {string} Stem
+ */
+function stemWord(word, language) {
+  if (!language || !word) return word;
+
+  const cacheKey = `${language}:${word}`;
+  const cached = stemCache.get(cacheKey);
+  if (cached !== undefined) return cached;
+
+  let stem;
+  switch (language) {
+    case 'en':
+      stem = stemEnglish(word);
+      break;
+    case 'pt':
+      stem = stemPortuguese(word);
+      break;
+    default:
+      stem = word;
+  }
+
+  if (stemCache.size >= STEM_CACHE_LIMIT) {
+    stemCache.clear();
+  }
+  stemCache.set(cacheKey, stem);
+
+  return stem;
+}
+
+/**
+ * Stem every word of a normalized phrase
+ * @param {string} phrase Normalized, space-separated words
+ * @param {string|null} language Language code, or null for no stemming
+ * @returns {string} Space-separated stems
+ */
+function stemPhrase(phrase, language) {
+  return phrase.split(' ').map(word => stemWord(word, language)).join(' ');
+}
+
+/**
+ * Resolve the stemming languages of a profile into the list matching runs over
+ * An empty selection means exact matching, represented by a single null language
+ * @param {string[]} [languages] Profile setting (defaults to English and Portuguese)
+ * @returns {(string|null)[]} Languages to stem with
+ */
+function getStemmingLanguages(languages) {
+  const selected = (Array.isArray(languages) ? languages : DEFAULT_STEMMING_LANGUAGES)
+    .filter(language => STEMMING_LANGUAGES[language]);
+
+  return selected.length > 0 ? selected : [null];
+}
+
+/**
+ * Pick the languages the words of a post are stemmed in when matching
+ * A post detected in one of the stemming languages is only stemmed in that language; any other
+ * post is stemmed in all of them, strictly (see isStemAllowed). Unstemmed words (null) always count.
+ * @param {(string|null)[]} languages Stemming languages from getStemmingLanguages
+ * @param {string|null} [postLanguage] Language of the post from detectLanguage
+ * @returns {{languages: (string|null)[], strict: boolean}}
+ */
+function getPostStemming(languages, postLanguage = null) {
+  if (postLanguage && languages.includes(postLanguage)) {
+    return { languages: [null, postLanguage], strict: false };
+  }
+
+  return { languages: Array.from(new Set([null, ...languages])), strict: true };
+}
+
+/**
+ * Check if a keyword stem may match post words stemmed the same way
+ * Strict matching only takes stems of at least MIN_CROSS_LANGUAGE_STEM_LENGTH letters per word,
+ * unless the stem is the keyword itself, unchanged by stemming
+ * @param {string} stem Stemmed keyword or phrase
+ * @param {string|null} language Language the post words were stemmed in
+ * @param {(string|null)[]} stemLanguages Languages the keyword stems to this form in
+ * @param {boolean} strict Whether the language of the post is unknown
+ * @returns {boolean}
+ */
+function isStemAllowed(stem, language, stemLanguages, strict) {
+  if (!stemLanguages.includes(language)) return false;
+  if (!strict || language === null || stemLanguages.includes(null)) return true;
+
+  return stem.split(' ').every(word => word.length >= MIN_CROSS_LANGUAGE_STEM_LENGTH);
+}
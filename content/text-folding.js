@@ -0,0 +1,123 @@
+/**
+ * LinkedIn Keyword Filter - Text Folding
+ * Undoes the tricks used to slip words past keyword filters:
+ * "fancy" Unicode letters (𝗵𝗶𝗿𝗶𝗻𝗴, 𝘫𝘰𝘣, ｆｕｌｌ-ｗｉｄｔｈ), look-alike letters from other
+ * scripts, zero-width characters, spaced-out letters ("h i r i n g") and leetspeak ("j0b")
+ */
+
+// Invisible characters used to split words: zero-width space/joiners, word joiner, BOM, soft hyphen
+const INVISIBLE_CHARACTERS_REGEX = /[\u200B-\u200D\u2060\uFEFF\u00AD\u180E]/g;
+
+// Letters NFKC leaves alone: small capitals and negative circled/squared letters (🅗🅘🅡🅔, 🅷🅸🆁🅴)
+const FANCY_LETTERS = {
+  'ᴀ': 'a', 'ʙ': 'b', 'ᴄ': 'c', 'ᴅ': 'd', 'ᴇ': 'e', 'ꜰ': 'f', 'ɢ': 'g', 'ʜ': 'h', 'ɪ': 'i',
+  'ᴊ': 'j', 'ᴋ': 'k', 'ʟ': 'l', 'ᴍ': 'm', 'ɴ': 'n', 'ᴏ': 'o', 'ᴘ': 'p', 'ǫ': 'q', 'ʀ': 'r',
+  'ꜱ': 's', 'ᴛ': 't', 'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w', 'ʏ': 'y', 'ᴢ': 'z', 'ı': 'i'
+};
+const NEGATIVE_LETTER_RANGES = [0x1F150, 0x1F170]; // Each range covers A-Z
+
+// Cyrillic and Greek letters that look like Latin ones, folded only inside words that
+// also contain Latin letters so real Cyrillic/Greek text is left untouched
+const CONFUSABLE_LETTERS = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+  'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+  'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C',
+  'Т': 'T', 'У': 'Y', 'Х': 'X', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S',
+  // Greek
+  'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u',
+  'χ': 'x', 'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M',
+  'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X'
+};
+
+// Leetspeak substitutions, only folded between Latin letters ("j0b", "cr¥pto", "pr00f")
+// so numbers such as "10k", "web3", "covid19" or "第3回" keep their digits
+const LEET_CHARACTERS = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't',
+  '@': 'a', '$': 's', '¥': 'y', '€': 'e'
+};
+const LEET_REGEX = /(?<=\p{Script=Latin}[013457@$¥€]*)[013457@$¥€](?=[013457@$¥€]*\p{Script=Latin})/gu;
+
+// Three or more single letters separated by spaces or light punctuation: "h i r i n g", "j.o.b"
+const SPACED_LETTERS_REGEX = /(?<![\p{L}\p{N}])\p{L}(?:(?:\s|[.\-_·•*]\s?)\p{L}){2,}(?![\p{L}\p{N}])/gu;
+
+// Letters only separated by spaces are joined from this many on, unless all of them are
+// real one-letter words ("Plan a b c", Portuguese "e a o"); one punctuation mark repeated
+// between every letter ("j.o.b", "j-o-b") is always joined
+const MIN_SPACED_WORD_LENGTH = 4;
+
+// One-letter words per language; text of unknown language takes all of them
+const ONE_LETTER_WORDS = {
+  en: ['a', 'i'],
+  pt: ['a', 'e', 'o'],
+  es: ['a', 'e', 'o', 'u', 'y'],
+  fr: ['a', 'y'],
+  it: ['a', 'e', 'i', 'o'],
+  nl: ['u']
+};
+const ALL_ONE_LETTER_WORDS = Array.from(new Set(Object.values(ONE_LETTER_WORDS).flat()));
+
+/**
+ * Fold "fancy" Unicode text to plain letters, keeping case and punctuation
+ * Mathematical Bold/Italic/Script letters, full-width forms, ligatures and circled
+ * letters go through NFKC; the rest through the tables above
+ * @param {string} text
+ * @returns {string} Folded text
+ */
+function foldFancyText(text) {
+  if (!text) return '';
+  
+  return text
+    .replace(INVISIBLE_CHARACTERS_REGEX, '')
+    .normalize('NFKC')
+    .replace(/[\u{1F150}-\u{1F169}\u{1F170}-\u{1F189}]/gu, char => {
+      const codePoint = char.codePointAt(0);
+      const rangeStart = codePoint >= NEGATIVE_LETTER_RANGES[1] ? NEGATIVE_LETTER_RANGES[1] : NEGATIVE_LETTER_RANGES[0];
+      return String.fromCharCode(65 + codePoint - rangeStart);
+    })
+    .replace(/[ᴀʙᴄᴅᴇꜰɢʜɪᴊᴋʟᴍɴᴏᴘǫʀꜱᴛᴜᴠᴡʏᴢı]/g, char => FANCY_LETTERS[char])
+    .replace(/[\p{L}\p{M}]+/gu, word => foldConfusableLetters(word));
+}
+
+/**
+ * Replace Cyrillic/Greek look-alikes in a word that mixes them with Latin letters
+ * @param {string} word
+ * @returns {string}
+ */
+function foldConfusableLetters(word) {
+  if (!/\p{Script=Latin}/u.test(word) || !/[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(word)) {
+    return word;
+  }
+  
+  return Array.from(word, char => CONFUSABLE_LETTERS[char] || char).join('');
+}
+
+/**
+ * Fold leetspeak characters written between letters
+ * @param {string} text
+ * @returns {string}
+ */
+function foldLeetspeak(text) {
+  return text.replace(LEET_REGEX, char => LEET_CHARACTERS[char]);
+}
+
+/**
+ * Join letters spelled out one by one ("h i r i n g" -> "hiring", "j.o.b" -> "job")
+ * @param {string} text
+ * @param {string|null} [language] Language of the text from detectLanguage, for its one-letter words
+ * @returns {string}
+ */
+function collapseSpacedLetters(text, language = null) {
+  const oneLetterWords = ONE_LETTER_WORDS[language] || ALL_ONE_LETTER_WORDS;
+  
+  return text.replace(SPACED_LETTERS_REGEX, run => {
+    const letters = run.match(/\p{L}/gu);
+    const separators = run.split(/\p{L}/u).slice(1, -1).map(separator => separator.trim());
+    
+    const punctuated = separators[0] !== '' && separators.every(separator => separator === separators[0]);
+    const spelledOut = letters.length >= MIN_SPACED_WORD_LENGTH &&
+      !letters.every(letter => oneLetterWords.includes(letter.toLowerCase()));
+    
+    return punctuated || spelledOut ? letters.join('') : run;
+  });
+}
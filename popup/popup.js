@@ -6,6 +6,9 @@
 // DOM elements
 let elements = {};
 
+// Which part of a repost rules apply to
+const REPOST_SCOPES = ['both', 'commentary', 'original'];
+
 // Current configuration
 let currentConfig = {
   mode: 'blacklist',
@@ -25,6 +28,13 @@ let profiles = {
 
 let currentProfileId = 'default';
 
+// Mode names shown in status messages
+const MODE_NAMES = {
+  blacklist: 'Blacklist',
+  whitelist: 'Whitelist',
+  hybrid: 'Hybrid'
+};
+
 /**
  * Initialize the popup
  */
@@ -47,6 +57,9 @@ async function init() {
   // Set up periodic counter updates
   setupCounterUpdates();
   
+  // Pick up authors muted from the feed while the popup is open
+  setupMutedAuthorSync();
+  
   console.debug('[LinkedIn Filter Popup] Initialized');
 }
 
@@ -63,22 +76,66 @@ function getElements() {
     // Mode selection
     modeBlacklist: document.getElementById('modeBlacklist'),
     modeWhitelist: document.getElementById('modeWhitelist'),
+    modeHybrid: document.getElementById('modeHybrid'),
     
     // Toggles
     pauseFilter: document.getElementById('pauseFilter'),
+    hidePromoted: document.getElementById('hidePromoted'),
+    filterComments: document.getElementById('filterComments'),
+    hiddenReasonInputs: Array.from(document.querySelectorAll('.hidden-reason')),
+    hidePlainReposts: document.getElementById('hidePlainReposts'),
+    maxPostAgeInput: document.getElementById('maxPostAge'),
+    maxPostAgeUnitSelect: document.getElementById('maxPostAgeUnit'),
+    contentTypeInputs: Array.from(document.querySelectorAll('.content-type')),
+    contentTypeModeSelect: document.getElementById('contentTypeMode'),
+    postLanguageInputs: Array.from(document.querySelectorAll('.post-language')),
+    postLanguageModeSelect: document.getElementById('postLanguageMode'),
+    repostScopeSelect: document.getElementById('repostScope'),
     
     // Keywords input
+    keywordsTitle: document.getElementById('keywordsTitle'),
     keywordsInput: document.getElementById('keywordsInput'),
+    keywordOptionsList: document.getElementById('keywordOptionsList'),
+    
+    // Hybrid mode allow list
+    allowListSection: document.getElementById('allowListSection'),
+    allowKeywordsInput: document.getElementById('allowKeywordsInput'),
+    hybridPrecedenceSelect: document.getElementById('hybridPrecedence'),
+    hybridFallbackSelect: document.getElementById('hybridFallback'),
+    
+    // Stemming languages
+    stemmingLanguageInputs: Array.from(document.querySelectorAll('.stemming-language')),
+    
+    // Score threshold
+    scoreThresholdInput: document.getElementById('scoreThreshold'),
+    
+    // Rule expressions input
+    rulesInput: document.getElementById('rulesInput'),
+    rulesErrors: document.getElementById('rulesErrors'),
+    
+    // Profile exceptions input
+    exceptionsInput: document.getElementById('exceptionsInput'),
+    
+    // Author lists
+    mutedAuthorsInput: document.getElementById('mutedAuthorsInput'),
+    allowedAuthorsInput: document.getElementById('allowedAuthorsInput'),
+    headlineWordsInput: document.getElementById('headlineWordsInput'),
+    actorTypeInputs: Array.from(document.querySelectorAll('.actor-type')),
+    connectionDegreeInputs: Array.from(document.querySelectorAll('.connection-degree')),
+    keepFollowedAuthors: document.getElementById('keepFollowedAuthors'),
     
     // Action buttons
     saveBtn: document.getElementById('saveBtn'),
     exportBtn: document.getElementById('exportBtn'),
     importBtn: document.getElementById('importBtn'),
+    importFile: document.getElementById('importFile'),
     copyPromptBtn: document.getElementById('copyPromptBtn'),
     
     // Status and counter
     statusMessage: document.getElementById('statusMessage'),
-    hiddenCount: document.getElementById('hiddenCount')
+    hiddenCount: document.getElementById('hiddenCount'),
+    promotedCount: document.getElementById('promotedCount'),
+    commentCount: document.getElementById('commentCount')
   };
 }
 
@@ -94,10 +151,53 @@ function setupEventListeners() {
   // Mode change
   elements.modeBlacklist.addEventListener('change', handleModeChange);
   elements.modeWhitelist.addEventListener('change', handleModeChange);
+  elements.modeHybrid.addEventListener('change', handleModeChange);
   
   // Pause toggle
   elements.pauseFilter.addEventListener('change', handlePauseChange);
   
+  // Promoted posts toggle
+  elements.hidePromoted.addEventListener('change', handleHidePromotedChange);
+  
+  // Comment filtering toggle
+  elements.filterComments.addEventListener('change', handleFilterCommentsChange);
+  
+  // Social activity reasons
+  elements.hiddenReasonInputs.forEach(input => {
+    input.addEventListener('change', handleHiddenReasonsChange);
+  });
+  
+  // Actor types
+  elements.actorTypeInputs.forEach(input => {
+    input.addEventListener('change', handleActorTypesChange);
+  });
+  
+  // Connection degrees
+  elements.connectionDegreeInputs.forEach(input => {
+    input.addEventListener('change', handleConnectionDegreesChange);
+  });
+  elements.keepFollowedAuthors.addEventListener('change', handleConnectionDegreesChange);
+  
+  // Reposts
+  elements.repostScopeSelect.addEventListener('change', handleRepostSettingChange);
+  elements.hidePlainReposts.addEventListener('change', handleRepostSettingChange);
+  
+  // Post age
+  elements.maxPostAgeInput.addEventListener('change', handleMaxPostAgeChange);
+  elements.maxPostAgeUnitSelect.addEventListener('change', handleMaxPostAgeChange);
+  
+  // Content types
+  elements.contentTypeInputs.forEach(input => {
+    input.addEventListener('change', handleContentTypesChange);
+  });
+  elements.contentTypeModeSelect.addEventListener('change', handleContentTypesChange);
+  
+  // Post languages
+  elements.postLanguageInputs.forEach(input => {
+    input.addEventListener('change', handlePostLanguagesChange);
+  });
+  elements.postLanguageModeSelect.addEventListener('change', handlePostLanguagesChange);
+  
 
   
   // Buttons
@@ -121,6 +221,42 @@ function setupEventListeners() {
       handleSave();
     }
   });
+  
+  // Stemming languages
+  elements.stemmingLanguageInputs.forEach(input => {
+    input.addEventListener('change', handleStemmingChange);
+  });
+  
+  // Score threshold
+  elements.scoreThresholdInput.addEventListener('change', handleScoreThresholdChange);
+  
+  // Rules: validate while typing, same save shortcuts as keywords
+  elements.rulesInput.addEventListener('input', () => showRuleErrors(parseRules(elements.rulesInput.value)));
+  elements.rulesInput.addEventListener('blur', handleAutoSave);
+  elements.rulesInput.addEventListener('keydown', (e) => {
+    if (e.ctrlKey && e.key === 'Enter') {
+      e.preventDefault();
+      handleSave();
+    }
+  });
+  
+  // Profile exceptions, hybrid allow list, author lists and headline keywords: same save shortcuts as keywords
+  [
+    elements.exceptionsInput, elements.allowKeywordsInput, elements.mutedAuthorsInput, elements.allowedAuthorsInput,
+    elements.headlineWordsInput
+  ].forEach(input => {
+    input.addEventListener('blur', handleAutoSave);
+    input.addEventListener('keydown', (e) => {
+      if (e.ctrlKey && e.key === 'Enter') {
+        e.preventDefault();
+        handleSave();
+      }
+    });
+  });
+  
+  // Hybrid mode precedence
+  elements.hybridPrecedenceSelect.addEventListener('change', handleHybridSettingChange);
+  elements.hybridFallbackSelect.addEventListener('change', handleHybridSettingChange);
 }
 
 /**
@@ -130,12 +266,14 @@ function updateVisualState() {
   // Update radio button visual state
   const blacklistContainer = elements.modeBlacklist.closest('.radio-option');
   const whitelistContainer = elements.modeWhitelist.closest('.radio-option');
+  const hybridContainer = elements.modeHybrid.closest('.radio-option');
   const pauseContainer = elements.pauseFilter.closest('.pause-filter');
 
 
   // Remove all checked classes first
   blacklistContainer.classList.remove('checked');
   whitelistContainer.classList.remove('checked');
+  hybridContainer.classList.remove('checked');
   pauseContainer.classList.remove('checked');
 
   // Add checked class to active elements
@@ -143,7 +281,13 @@ function updateVisualState() {
     blacklistContainer.classList.add('checked');
   } else if (elements.modeWhitelist.checked) {
     whitelistContainer.classList.add('checked');
+  } else if (elements.modeHybrid.checked) {
+    hybridContainer.classList.add('checked');
   }
+  
+  // Hybrid profiles edit two lists: the main keywords become the block list
+  elements.allowListSection.style.display = elements.modeHybrid.checked ? 'block' : 'none';
+  elements.keywordsTitle.textContent = elements.modeHybrid.checked ? 'Block List Keywords' : 'Keywords';
 
   if (elements.pauseFilter.checked) {
     pauseContainer.classList.add('checked');
@@ -251,6 +395,8 @@ function updateUI() {
   // Set mode
   if (currentConfig.mode === 'blacklist') {
     elements.modeBlacklist.checked = true;
+  } else if (currentConfig.mode === 'hybrid') {
+    elements.modeHybrid.checked = true;
   } else {
     elements.modeWhitelist.checked = true;
   }
@@ -258,10 +404,83 @@ function updateUI() {
   // Set pause state
   elements.pauseFilter.checked = currentConfig.paused;
   
+  // Set promoted posts toggle
+  elements.hidePromoted.checked = Boolean(currentConfig.hidePromoted);
+  
+  // Set comment filtering toggle
+  elements.filterComments.checked = Boolean(currentConfig.filterComments);
+  
+  // Set social activity reasons
+  const hiddenReasons = currentConfig.hiddenReasons || [];
+  elements.hiddenReasonInputs.forEach(input => {
+    input.checked = hiddenReasons.includes(input.value);
+  });
+  
+  // Set repost settings
+  elements.repostScopeSelect.value = currentConfig.repostScope || DEFAULT_REPOST_SCOPE;
+  elements.hidePlainReposts.checked = Boolean(currentConfig.hidePlainReposts);
+  
+  // Set post age
+  renderMaxPostAge();
+  
+  // Set content types
+  const contentTypes = currentConfig.contentTypes || [];
+  elements.contentTypeInputs.forEach(input => {
+    input.checked = contentTypes.includes(input.value);
+  });
+  elements.contentTypeModeSelect.value = currentConfig.contentTypeMode || DEFAULT_CONTENT_TYPE_MODE;
+  
+  // Set post languages
+  const postLanguages = currentConfig.postLanguages || [];
+  elements.postLanguageInputs.forEach(input => {
+    input.checked = postLanguages.includes(input.value);
+  });
+  elements.postLanguageModeSelect.value = currentConfig.postLanguageMode || DEFAULT_POST_LANGUAGE_MODE;
+  
 
   
   // Set keywords
   elements.keywordsInput.value = currentConfig.words.join('\n');
+  renderKeywordOptions();
+  
+  // Set hybrid allow list and precedence
+  elements.allowKeywordsInput.value = (currentConfig.allowWords || []).join('\n');
+  elements.hybridPrecedenceSelect.value = currentConfig.hybridPrecedence || DEFAULT_HYBRID_PRECEDENCE;
+  elements.hybridFallbackSelect.value = currentConfig.hybridFallback || DEFAULT_HYBRID_FALLBACK;
+  
+  // Set stemming languages
+  const stemmingLanguages = currentConfig.stemmingLanguages || DEFAULT_STEMMING_LANGUAGES;
+  elements.stemmingLanguageInputs.forEach(input => {
+    input.checked = stemmingLanguages.includes(input.value);
+  });
+  
+  // Set score threshold
+  elements.scoreThresholdInput.value = getScoreThreshold(currentConfig.scoreThreshold);
+  
+  // Set rules
+  elements.rulesInput.value = (currentConfig.rules || []).join('\n');
+  showRuleErrors([]);
+  
+  // Set profile exceptions
+  elements.exceptionsInput.value = (currentConfig.exceptions || []).join('\n');
+  
+  // Set author lists
+  elements.mutedAuthorsInput.value = (currentConfig.mutedAuthors || []).join('\n');
+  elements.allowedAuthorsInput.value = (currentConfig.allowedAuthors || []).join('\n');
+  elements.headlineWordsInput.value = (currentConfig.headlineWords || []).join('\n');
+  
+  // Set actor types
+  const hiddenActorTypes = currentConfig.hiddenActorTypes || [];
+  elements.actorTypeInputs.forEach(input => {
+    input.checked = hiddenActorTypes.includes(input.value);
+  });
+  
+  // Set connection degrees
+  const allowedDegrees = currentConfig.allowedDegrees || [];
+  elements.connectionDegreeInputs.forEach(input => {
+    input.checked = allowedDegrees.includes(input.value);
+  });
+  elements.keepFollowedAuthors.checked = Boolean(currentConfig.keepFollowedAuthors);
   
   // Update visual state
   updateVisualState();
@@ -308,7 +527,31 @@ async function handleNewProfile() {
       name: profileName.trim(),
       mode: currentConfig.mode,
       paused: currentConfig.paused,
-      words: [...currentConfig.words]
+      hidePromoted: Boolean(currentConfig.hidePromoted),
+      filterComments: Boolean(currentConfig.filterComments),
+      hiddenReasons: [...(currentConfig.hiddenReasons || [])],
+      repostScope: currentConfig.repostScope || DEFAULT_REPOST_SCOPE,
+      hidePlainReposts: Boolean(currentConfig.hidePlainReposts),
+      maxPostAgeHours: getMaxPostAgeHours(currentConfig.maxPostAgeHours),
+      contentTypes: [...(currentConfig.contentTypes || [])],
+      contentTypeMode: currentConfig.contentTypeMode || DEFAULT_CONTENT_TYPE_MODE,
+      postLanguages: [...(currentConfig.postLanguages || [])],
+      postLanguageMode: currentConfig.postLanguageMode || DEFAULT_POST_LANGUAGE_MODE,
+      words: [...currentConfig.words],
+      allowWords: [...(currentConfig.allowWords || [])],
+      hybridPrecedence: currentConfig.hybridPrecedence || DEFAULT_HYBRID_PRECEDENCE,
+      hybridFallback: currentConfig.hybridFallback || DEFAULT_HYBRID_FALLBACK,
+      keywordOptions: { ...(currentConfig.keywordOptions || {}) },
+      stemmingLanguages: [...(currentConfig.stemmingLanguages || DEFAULT_STEMMING_LANGUAGES)],
+      scoreThreshold: getScoreThreshold(currentConfig.scoreThreshold),
+      rules: [...(currentConfig.rules || [])],
+      exceptions: [...(currentConfig.exceptions || [])],
+      mutedAuthors: [...(currentConfig.mutedAuthors || [])],
+      allowedAuthors: [...(currentConfig.allowedAuthors || [])],
+      headlineWords: [...(currentConfig.headlineWords || [])],
+      hiddenActorTypes: [...(currentConfig.hiddenActorTypes || [])],
+      allowedDegrees: [...(currentConfig.allowedDegrees || [])],
+      keepFollowedAuthors: Boolean(currentConfig.keepFollowedAuthors)
     };
     
     // Save profiles
@@ -373,16 +616,41 @@ async function saveCurrentProfile() {
  * Handle mode change
  */
 async function handleModeChange() {
-  const newMode = elements.modeBlacklist.checked ? 'blacklist' : 'whitelist';
+  const newMode = [elements.modeBlacklist, elements.modeWhitelist, elements.modeHybrid]
+    .find(input => input.checked).value;
   
   if (newMode !== currentConfig.mode) {
     currentConfig.mode = newMode;
     updateVisualState(); // Update visual state immediately
     await saveConfig();
-    showStatusMessage(`Mode changed to ${newMode === 'blacklist' ? 'Blacklist' : 'Whitelist'}`, 'info');
+    showStatusMessage(`Mode changed to ${MODE_NAMES[newMode]}`, 'info');
   }
 }
 
+/**
+ * Save a settings change to the current profile, have the feed filtered again and say what changed
+ * @param {string} message Status message describing the new setting
+ */
+async function applySettingChange(message) {
+  await saveCurrentProfile();
+  await saveConfig();
+  await triggerReprocess();
+  
+  showStatusMessage(message, 'info');
+}
+
+/**
+ * Handle a change in the precedence or fallback of hybrid mode
+ */
+async function handleHybridSettingChange() {
+  currentConfig.hybridPrecedence = elements.hybridPrecedenceSelect.value;
+  currentConfig.hybridFallback = elements.hybridFallbackSelect.value;
+  
+  await applySettingChange(currentConfig.hybridPrecedence === 'block'
+    ? 'Block list now takes precedence over the allow list'
+    : 'Allow list now takes precedence over the block list');
+}
+
 /**
  * Handle pause toggle change
  */
@@ -399,14 +667,200 @@ async function handlePauseChange() {
 
 
 
+/**
+ * Handle the promoted posts toggle
+ */
+async function handleHidePromotedChange() {
+  currentConfig.hidePromoted = elements.hidePromoted.checked;
+  
+  await applySettingChange(currentConfig.hidePromoted ? 'Promoted posts will be hidden' : 'Promoted posts are filtered like any other post');
+}
+
+/**
+ * Handle the comment filtering toggle
+ */
+async function handleFilterCommentsChange() {
+  currentConfig.filterComments = elements.filterComments.checked;
+  
+  await applySettingChange(currentConfig.filterComments ? 'Matching comments will be collapsed' : 'Comments are no longer filtered');
+}
+
+/**
+ * Handle social activity reason toggles
+ */
+async function handleHiddenReasonsChange() {
+  currentConfig.hiddenReasons = getCheckedValues(elements.hiddenReasonInputs);
+  
+  await applySettingChange(currentConfig.hiddenReasons.length > 0
+    ? `Hiding ${currentConfig.hiddenReasons.length} kind(s) of social activity posts`
+    : 'Social activity posts are filtered like any other post');
+}
+
+/**
+ * Handle actor type toggles
+ */
+async function handleActorTypesChange() {
+  currentConfig.hiddenActorTypes = getCheckedValues(elements.actorTypeInputs);
+  
+  await applySettingChange(currentConfig.hiddenActorTypes.length > 0
+    ? `Hiding posts by: ${currentConfig.hiddenActorTypes.join(', ')}`
+    : 'Posts are filtered whoever posted them');
+}
+
+/**
+ * Handle connection degree toggles and the followed authors exemption
+ */
+async function handleConnectionDegreesChange() {
+  currentConfig.allowedDegrees = getCheckedValues(elements.connectionDegreeInputs);
+  currentConfig.keepFollowedAuthors = elements.keepFollowedAuthors.checked;
+  
+  await applySettingChange(currentConfig.allowedDegrees.length === 0
+    ? 'Posts are filtered whatever the connection degree'
+    : `Only showing ${currentConfig.allowedDegrees.join(', ')} degree connections${currentConfig.keepFollowedAuthors ? ' and people you follow' : ''}`);
+}
+
+/**
+ * Handle repost scope and plain repost toggle changes
+ */
+async function handleRepostSettingChange() {
+  currentConfig.repostScope = elements.repostScopeSelect.value;
+  currentConfig.hidePlainReposts = elements.hidePlainReposts.checked;
+  
+  await applySettingChange(currentConfig.hidePlainReposts ? 'Reposts without a comment will be hidden' : 'Repost settings updated');
+}
+
+/**
+ * Get the post age limit of a profile in hours, 0 (no limit) for missing or invalid values
+ * @param {number} [hours] Profile setting
+ * @returns {number}
+ */
+function getMaxPostAgeHours(hours) {
+  return typeof hours === 'number' && Number.isFinite(hours) && hours > 0 ? hours : 0;
+}
+
+/**
+ * Show the post age limit of the profile, in days when it is a whole number of days
+ */
+function renderMaxPostAge() {
+  const maxPostAgeHours = getMaxPostAgeHours(currentConfig.maxPostAgeHours);
+  const inDays = maxPostAgeHours > 0 && maxPostAgeHours % 24 === 0;
+  
+  elements.maxPostAgeInput.value = maxPostAgeHours > 0 ? String(inDays ? maxPostAgeHours / 24 : maxPostAgeHours) : '';
+  elements.maxPostAgeUnitSelect.value = inDays ? 'days' : 'hours';
+}
+
+/**
+ * Handle post age limit and unit changes
+ */
+async function handleMaxPostAgeChange() {
+  const input = elements.maxPostAgeInput.value.trim();
+  const amount = Number(input);
+  
+  if (input !== '' && (!Number.isFinite(amount) || amount <= 0)) {
+    renderMaxPostAge();
+    showStatusMessage('The post age must be a positive number', 'error');
+    return;
+  }
+  
+  currentConfig.maxPostAgeHours = input === '' ? 0 : amount * (elements.maxPostAgeUnitSelect.value === 'days' ? 24 : 1);
+  
+  await applySettingChange(currentConfig.maxPostAgeHours > 0
+    ? `Hiding posts older than ${amount} ${elements.maxPostAgeUnitSelect.value}`
+    : 'Showing posts of any age');
+}
+
+/**
+ * Handle content type toggles and mode
+ */
+async function handleContentTypesChange() {
+  currentConfig.contentTypes = getCheckedValues(elements.contentTypeInputs);
+  currentConfig.contentTypeMode = elements.contentTypeModeSelect.value;
+  
+  await applySettingChange(currentConfig.contentTypes.length === 0
+    ? 'Posts are filtered whatever their format'
+    : `${currentConfig.contentTypeMode === 'only' ? 'Only showing' : 'Hiding'}: ${currentConfig.contentTypes.join(', ')}`);
+}
+
+/**
+ * Handle post language toggles and mode
+ */
+async function handlePostLanguagesChange() {
+  currentConfig.postLanguages = getCheckedValues(elements.postLanguageInputs);
+  currentConfig.postLanguageMode = elements.postLanguageModeSelect.value;
+  
+  await applySettingChange(currentConfig.postLanguages.length === 0
+    ? 'Posts are filtered whatever their language'
+    : `${currentConfig.postLanguageMode === 'only' ? 'Only showing' : 'Hiding'} posts in: ${currentConfig.postLanguages.join(', ')}`);
+}
+
+/**
+ * Get the values of the checked boxes of a group, in the order of the popup
+ * @param {HTMLInputElement[]} inputs Checkboxes of the group
+ * @returns {string[]}
+ */
+function getCheckedValues(inputs) {
+  return inputs.filter(input => input.checked).map(input => input.value);
+}
+
+/**
+ * Keep the values of a list that match one of a group of checkboxes, in the order of the popup
+ * @param {HTMLInputElement[]} inputs Checkboxes of the group
+ * @param {string[]} values Values from the UI or an imported file
+ * @returns {string[]}
+ */
+function getKnownCheckboxValues(inputs, values) {
+  return inputs
+    .map(input => input.value)
+    .filter(value => values.includes(value));
+}
+
+/**
+ * Handle stemming language toggles
+ */
+async function handleStemmingChange() {
+  currentConfig.stemmingLanguages = getCheckedValues(elements.stemmingLanguageInputs);
+  
+  await applySettingChange(currentConfig.stemmingLanguages.length > 0
+    ? `Matching word forms in: ${currentConfig.stemmingLanguages.join(', ').toUpperCase()}`
+    : 'Matching exact words only');
+}
+
+/**
+ * Handle score threshold change
+ */
+async function handleScoreThresholdChange() {
+  const threshold = Number(elements.scoreThresholdInput.value);
+  
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    elements.scoreThresholdInput.value = getScoreThreshold(currentConfig.scoreThreshold);
+    showStatusMessage('The score threshold must be a positive number', 'error');
+    return;
+  }
+  
+  currentConfig.scoreThreshold = threshold;
+  
+  await applySettingChange(`Posts now match at a score of ${threshold}`);
+}
+
 /**
  * Handle auto-save on textarea blur
  */
 async function handleAutoSave() {
   const currentWords = parseKeywords(elements.keywordsInput.value);
+  const currentRules = parseRules(elements.rulesInput.value).map(rule => rule.source);
+  const currentExceptions = parseKeywords(elements.exceptionsInput.value);
+  const currentAllowWords = parseKeywords(elements.allowKeywordsInput.value);
+  const currentMutedAuthors = parseAuthorList(elements.mutedAuthorsInput.value);
+  const currentAllowedAuthors = parseAuthorList(elements.allowedAuthorsInput.value);
+  const currentHeadlineWords = parseKeywords(elements.headlineWordsInput.value);
   
-  // Only save if words actually changed
-  if (!arraysEqual(currentWords, currentConfig.words)) {
+  // Only save if words, rules, exceptions, the allow list, author lists or headline keywords actually changed
+  if (!arraysEqual(currentWords, currentConfig.words) || !arraysEqual(currentRules, currentConfig.rules || []) ||
+      !arraysEqual(currentExceptions, currentConfig.exceptions || []) ||
+      !arraysEqual(currentAllowWords, currentConfig.allowWords || []) ||
+      !arraysEqual(currentMutedAuthors, currentConfig.mutedAuthors || []) ||
+      !arraysEqual(currentAllowedAuthors, currentConfig.allowedAuthors || []) ||
+      !arraysEqual(currentHeadlineWords, currentConfig.headlineWords || [])) {
     await handleSave();
   }
 }
@@ -422,10 +876,76 @@ async function handleSave() {
     // Parse and normalize keywords
     const rawKeywords = elements.keywordsInput.value;
     const keywords = parseKeywords(rawKeywords);
+    
+    // Refuse to save regex rules the content script could not compile
+    const invalidRegex = findInvalidRegexKeyword(keywords);
+    if (invalidRegex) {
+      showStatusMessage(`Invalid regular expression ${invalidRegex.entry}: ${invalidRegex.message}`, 'error');
+      return;
+    }
+    
+    const invalidSymbol = findInvalidSymbolKeyword(keywords);
+    if (invalidSymbol) {
+      showStatusMessage(`Invalid rule ${invalidSymbol.entry}: ${invalidSymbol.message}`, 'error');
+      return;
+    }
+    
     const normalizedKeywords = normalizeKeywords(keywords);
     
+    // Allow list of hybrid profiles
+    const allowWords = normalizeKeywords(parseKeywords(elements.allowKeywordsInput.value));
+    const invalidAllowWord = findInvalidKeyword(allowWords);
+    if (invalidAllowWord) {
+      showStatusMessage(`Invalid allow list entry ${invalidAllowWord.entry}: ${invalidAllowWord.message}`, 'error');
+      return;
+    }
+    
+    // Profile exceptions are written like keywords
+    const exceptions = normalizeKeywords(parseKeywords(elements.exceptionsInput.value));
+    const invalidException = findInvalidKeyword(exceptions);
+    if (invalidException) {
+      showStatusMessage(`Invalid exception ${invalidException.entry}: ${invalidException.message}`, 'error');
+      return;
+    }
+    
+    // Author lists take profile/page URLs or URNs
+    const mutedAuthors = parseAuthorList(elements.mutedAuthorsInput.value);
+    const allowedAuthors = parseAuthorList(elements.allowedAuthorsInput.value);
+    const invalidAuthor = findInvalidAuthorEntry([...mutedAuthors, ...allowedAuthors]);
+    if (invalidAuthor) {
+      showStatusMessage(`Invalid author ${invalidAuthor.entry}: ${invalidAuthor.message}`, 'error');
+      return;
+    }
+    
+    // Author headline keywords are written like keywords
+    const headlineWords = normalizeKeywords(parseKeywords(elements.headlineWordsInput.value));
+    const invalidHeadlineWord = findInvalidKeyword(headlineWords);
+    if (invalidHeadlineWord) {
+      showStatusMessage(`Invalid headline keyword ${invalidHeadlineWord.entry}: ${invalidHeadlineWord.message}`, 'error');
+      return;
+    }
+    
+    // Refuse to save rules with syntax errors, they are listed under the textarea
+    const rules = parseRules(elements.rulesInput.value);
+    if (showRuleErrors(rules)) {
+      showStatusMessage('Fix the rule syntax errors before saving', 'error');
+      return;
+    }
+    
     // Update configuration
     currentConfig.words = normalizedKeywords;
+    currentConfig.allowWords = allowWords;
+    currentConfig.keywordOptions = pruneKeywordOptions(currentConfig.keywordOptions, getAllKeywords());
+    currentConfig.rules = rules.map(rule => rule.source);
+    elements.allowKeywordsInput.value = allowWords.join('\n');
+    currentConfig.exceptions = exceptions;
+    elements.exceptionsInput.value = exceptions.join('\n');
+    currentConfig.mutedAuthors = normalizeAuthorList(mutedAuthors);
+    currentConfig.allowedAuthors = normalizeAuthorList(allowedAuthors);
+    elements.mutedAuthorsInput.value = currentConfig.mutedAuthors.join('\n');
+    elements.allowedAuthorsInput.value = currentConfig.allowedAuthors.join('\n');
+    currentConfig.headlineWords = headlineWords;
+    elements.headlineWordsInput.value = headlineWords.join('\n');
     
     // Save to current profile and storage
     await saveCurrentProfile();
@@ -434,7 +954,9 @@ async function handleSave() {
     // Trigger reprocessing in content script
     await triggerReprocess();
     
-    showStatusMessage(`Configuration saved to profile "${profiles[currentProfileId].name}"! ${normalizedKeywords.length} words configured.`, 'success');
+    renderKeywordOptions();
+    
+    showStatusMessage(`Configuration saved to profile "${profiles[currentProfileId].name}"! ${normalizedKeywords.length} words and ${currentConfig.rules.length} rules configured.`, 'success');
     
   } catch (error) {
     console.error('[LinkedIn Filter Popup] Save failed:', error);
@@ -453,7 +975,31 @@ async function handleExport() {
     const exportData = {
       profileName: profiles[currentProfileId].name,
       mode: currentConfig.mode,
+      hidePromoted: Boolean(currentConfig.hidePromoted),
+      filterComments: Boolean(currentConfig.filterComments),
+      hiddenReasons: currentConfig.hiddenReasons || [],
+      repostScope: currentConfig.repostScope || DEFAULT_REPOST_SCOPE,
+      hidePlainReposts: Boolean(currentConfig.hidePlainReposts),
+      maxPostAgeHours: getMaxPostAgeHours(currentConfig.maxPostAgeHours),
+      contentTypes: currentConfig.contentTypes || [],
+      contentTypeMode: currentConfig.contentTypeMode || DEFAULT_CONTENT_TYPE_MODE,
+      postLanguages: currentConfig.postLanguages || [],
+      postLanguageMode: currentConfig.postLanguageMode || DEFAULT_POST_LANGUAGE_MODE,
       words: currentConfig.words,
+      allowWords: currentConfig.allowWords || [],
+      hybridPrecedence: currentConfig.hybridPrecedence || DEFAULT_HYBRID_PRECEDENCE,
+      hybridFallback: currentConfig.hybridFallback || DEFAULT_HYBRID_FALLBACK,
+      keywordOptions: currentConfig.keywordOptions || {},
+      stemmingLanguages: currentConfig.stemmingLanguages || DEFAULT_STEMMING_LANGUAGES,
+      scoreThreshold: getScoreThreshold(currentConfig.scoreThreshold),
+      rules: currentConfig.rules || [],
+      exceptions: currentConfig.exceptions || [],
+      mutedAuthors: currentConfig.mutedAuthors || [],
+      allowedAuthors: currentConfig.allowedAuthors || [],
+      headlineWords: currentConfig.headlineWords || [],
+      hiddenActorTypes: currentConfig.hiddenActorTypes || [],
+      allowedDegrees: currentConfig.allowedDegrees || [],
+      keepFollowedAuthors: Boolean(currentConfig.keepFollowedAuthors),
       exportDate: new Date().toISOString()
     };
     
@@ -515,6 +1061,83 @@ async function handleFileImport(event) {
       throw new Error('Invalid file format. Expected: { "words": [...] }');
     }
     
+    // Both the new-profile and the merge path store the words normalized
+    const normalizedWords = normalizeKeywords(importData.words.filter(word => typeof word === 'string'));
+    
+    const invalidRegex = findInvalidRegexKeyword(normalizedWords);
+    if (invalidRegex) {
+      throw new Error(`Invalid regular expression ${invalidRegex.entry}: ${invalidRegex.message}`);
+    }
+    
+    const invalidSymbol = findInvalidSymbolKeyword(normalizedWords);
+    if (invalidSymbol) {
+      throw new Error(`Invalid rule ${invalidSymbol.entry}: ${invalidSymbol.message}`);
+    }
+    
+    // Options are keyed by entry, so their keys are normalized like the words they belong to
+    const importedKeywordOptions = importData.keywordOptions && typeof importData.keywordOptions === 'object'
+      ? Object.fromEntries(Object.entries(importData.keywordOptions)
+        .map(([entry, options]) => [normalizeKeywords([entry])[0], options])
+        .filter(([entry]) => entry))
+      : {};
+    const importedRules = Array.isArray(importData.rules) ? importData.rules : [];
+    const ruleErrors = validateRuleExpressions(importedRules);
+    if (ruleErrors.length > 0) {
+      throw new Error(`Invalid rule "${ruleErrors[0].rule}": ${ruleErrors[0].message}`);
+    }
+    
+    const importedAllowWords = Array.isArray(importData.allowWords)
+      ? normalizeKeywords(importData.allowWords.filter(word => typeof word === 'string'))
+      : [];
+    const invalidAllowWord = findInvalidKeyword(importedAllowWords);
+    if (invalidAllowWord) {
+      throw new Error(`Invalid allow list entry ${invalidAllowWord.entry}: ${invalidAllowWord.message}`);
+    }
+    
+    const importedMutedAuthors = Array.isArray(importData.mutedAuthors) ? importData.mutedAuthors.filter(entry => typeof entry === 'string') : [];
+    const importedAllowedAuthors = Array.isArray(importData.allowedAuthors) ? importData.allowedAuthors.filter(entry => typeof entry === 'string') : [];
+    const invalidAuthor = findInvalidAuthorEntry([...importedMutedAuthors, ...importedAllowedAuthors]);
+    if (invalidAuthor) {
+      throw new Error(`Invalid author ${invalidAuthor.entry}: ${invalidAuthor.message}`);
+    }
+    
+    const importedHeadlineWords = Array.isArray(importData.headlineWords)
+      ? normalizeKeywords(importData.headlineWords.filter(word => typeof word === 'string'))
+      : [];
+    const invalidHeadlineWord = findInvalidKeyword(importedHeadlineWords);
+    if (invalidHeadlineWord) {
+      throw new Error(`Invalid headline keyword ${invalidHeadlineWord.entry}: ${invalidHeadlineWord.message}`);
+    }
+    
+    const importedExceptions = Array.isArray(importData.exceptions)
+      ? normalizeKeywords(importData.exceptions.filter(term => typeof term === 'string'))
+      : [];
+    const invalidException = findInvalidKeyword(
+      collectExceptionTerms([...normalizedWords, ...importedAllowWords], importedKeywordOptions, importedExceptions)
+    );
+    if (invalidException) {
+      throw new Error(`Invalid exception ${invalidException.entry}: ${invalidException.message}`);
+    }
+    
+    const importedReasons = Array.isArray(importData.hiddenReasons)
+      ? getKnownCheckboxValues(elements.hiddenReasonInputs, importData.hiddenReasons)
+      : [];
+    const importedContentTypes = Array.isArray(importData.contentTypes)
+      ? getKnownCheckboxValues(elements.contentTypeInputs, importData.contentTypes)
+      : [];
+    const importedPostLanguages = Array.isArray(importData.postLanguages)
+      ? getKnownCheckboxValues(elements.postLanguageInputs, importData.postLanguages)
+      : [];
+    const importedActorTypes = Array.isArray(importData.hiddenActorTypes)
+      ? getKnownCheckboxValues(elements.actorTypeInputs, importData.hiddenActorTypes)
+      : [];
+    const importedDegrees = Array.isArray(importData.allowedDegrees)
+      ? getKnownCheckboxValues(elements.connectionDegreeInputs, importData.allowedDegrees)
+      : [];
+    const importedStemmingLanguages = Array.isArray(importData.stemmingLanguages)
+      ? getKnownCheckboxValues(elements.stemmingLanguageInputs, importData.stemmingLanguages)
+      : DEFAULT_STEMMING_LANGUAGES;
+    
     // Check if this is a profile import
     if (importData.profileName && importData.profileName !== profiles[currentProfileId].name) {
       const createNewProfile = confirm(
@@ -526,9 +1149,33 @@ async function handleFileImport(event) {
         const profileId = 'profile_' + Date.now();
         profiles[profileId] = {
           name: importData.profileName,
-          mode: importData.mode || currentConfig.mode,
+          mode: MODE_NAMES[importData.mode] ? importData.mode : currentConfig.mode,
           paused: false,
-          words: importData.words
+          hidePromoted: importData.hidePromoted === true,
+          filterComments: importData.filterComments === true,
+          hiddenReasons: importedReasons,
+          repostScope: REPOST_SCOPES.includes(importData.repostScope) ? importData.repostScope : DEFAULT_REPOST_SCOPE,
+          hidePlainReposts: importData.hidePlainReposts === true,
+          maxPostAgeHours: getMaxPostAgeHours(importData.maxPostAgeHours),
+          contentTypes: importedContentTypes,
+          contentTypeMode: importData.contentTypeMode === 'only' ? 'only' : DEFAULT_CONTENT_TYPE_MODE,
+          postLanguages: importedPostLanguages,
+          postLanguageMode: importData.postLanguageMode === 'only' ? 'only' : DEFAULT_POST_LANGUAGE_MODE,
+          words: normalizedWords,
+          allowWords: importedAllowWords,
+          hybridPrecedence: importData.hybridPrecedence === 'block' ? 'block' : DEFAULT_HYBRID_PRECEDENCE,
+          hybridFallback: importData.hybridFallback === 'hide' ? 'hide' : DEFAULT_HYBRID_FALLBACK,
+          keywordOptions: pruneKeywordOptions(importedKeywordOptions, [...normalizedWords, ...importedAllowWords]),
+          stemmingLanguages: importedStemmingLanguages,
+          scoreThreshold: getScoreThreshold(importData.scoreThreshold),
+          rules: importedRules,
+          exceptions: importedExceptions,
+          mutedAuthors: normalizeAuthorList(importedMutedAuthors),
+          allowedAuthors: normalizeAuthorList(importedAllowedAuthors),
+          headlineWords: importedHeadlineWords,
+          hiddenActorTypes: importedActorTypes,
+          allowedDegrees: importedDegrees,
+          keepFollowedAuthors: importData.keepFollowedAuthors === true
         };
         
         // Save profiles
@@ -548,24 +1195,144 @@ async function handleFileImport(event) {
     }
     
     // Merge with current configuration
-    const normalizedWords = normalizeKeywords(importData.words);
     const mergedWords = [...new Set([...currentConfig.words, ...normalizedWords])];
     
-    // Update UI and configuration
+    const mergedRules = [...new Set([...(currentConfig.rules || []), ...importedRules])];
+    const mergedExceptions = [...new Set([...(currentConfig.exceptions || []), ...importedExceptions])];
+    const mergedAllowWords = [...new Set([...(currentConfig.allowWords || []), ...importedAllowWords])];
+    const mergedMutedAuthors = normalizeAuthorList([...(currentConfig.mutedAuthors || []), ...importedMutedAuthors]);
+    const mergedAllowedAuthors = normalizeAuthorList([...(currentConfig.allowedAuthors || []), ...importedAllowedAuthors]);
+    const mergedHeadlineWords = [...new Set([...(currentConfig.headlineWords || []), ...importedHeadlineWords])];
+    
+    // Update UI and configuration (existing keyword options win over imported ones)
     currentConfig.words = mergedWords;
+    currentConfig.allowWords = mergedAllowWords;
+    currentConfig.mutedAuthors = mergedMutedAuthors;
+    currentConfig.allowedAuthors = mergedAllowedAuthors;
+    currentConfig.headlineWords = mergedHeadlineWords;
+    currentConfig.keywordOptions = pruneKeywordOptions(
+      { ...importedKeywordOptions, ...(currentConfig.keywordOptions || {}) },
+      getAllKeywords()
+    );
+    currentConfig.rules = mergedRules;
+    currentConfig.exceptions = mergedExceptions;
     elements.keywordsInput.value = mergedWords.join('\n');
+    renderKeywordOptions();
+    elements.rulesInput.value = mergedRules.join('\n');
+    elements.exceptionsInput.value = mergedExceptions.join('\n');
+    elements.allowKeywordsInput.value = mergedAllowWords.join('\n');
+    elements.mutedAuthorsInput.value = mergedMutedAuthors.join('\n');
+    elements.allowedAuthorsInput.value = mergedAllowedAuthors.join('\n');
+    elements.headlineWordsInput.value = mergedHeadlineWords.join('\n');
     
     // Optionally import mode
-    if (importData.mode && ['blacklist', 'whitelist'].includes(importData.mode)) {
+    if (importData.mode && MODE_NAMES[importData.mode]) {
       currentConfig.mode = importData.mode;
       updateUI();
     }
     
+    // Optionally import promoted posts toggle
+    if (typeof importData.hidePromoted === 'boolean') {
+      currentConfig.hidePromoted = importData.hidePromoted;
+      updateUI();
+    }
+    
+    // Optionally import comment filtering toggle
+    if (typeof importData.filterComments === 'boolean') {
+      currentConfig.filterComments = importData.filterComments;
+      updateUI();
+    }
+    
+    // Optionally import social activity reasons
+    if (Array.isArray(importData.hiddenReasons)) {
+      currentConfig.hiddenReasons = importedReasons;
+      updateUI();
+    }
+    
+    // Optionally import actor types
+    if (Array.isArray(importData.hiddenActorTypes)) {
+      currentConfig.hiddenActorTypes = importedActorTypes;
+      updateUI();
+    }
+    
+    // Optionally import connection degrees
+    if (Array.isArray(importData.allowedDegrees)) {
+      currentConfig.allowedDegrees = importedDegrees;
+      updateUI();
+    }
+    
+    if (typeof importData.keepFollowedAuthors === 'boolean') {
+      currentConfig.keepFollowedAuthors = importData.keepFollowedAuthors;
+      updateUI();
+    }
+    
+    // Optionally import repost settings
+    if (REPOST_SCOPES.includes(importData.repostScope)) {
+      currentConfig.repostScope = importData.repostScope;
+      updateUI();
+    }
+    
+    if (typeof importData.hidePlainReposts === 'boolean') {
+      currentConfig.hidePlainReposts = importData.hidePlainReposts;
+      updateUI();
+    }
+    
+    // Optionally import post age
+    if (importData.maxPostAgeHours !== undefined) {
+      currentConfig.maxPostAgeHours = getMaxPostAgeHours(importData.maxPostAgeHours);
+      updateUI();
+    }
+    
+    // Optionally import content types
+    if (Array.isArray(importData.contentTypes)) {
+      currentConfig.contentTypes = importedContentTypes;
+      updateUI();
+    }
+    
+    if (['hide', 'only'].includes(importData.contentTypeMode)) {
+      currentConfig.contentTypeMode = importData.contentTypeMode;
+      updateUI();
+    }
+    
+    // Optionally import post languages
+    if (Array.isArray(importData.postLanguages)) {
+      currentConfig.postLanguages = importedPostLanguages;
+      updateUI();
+    }
+    
+    if (['hide', 'only'].includes(importData.postLanguageMode)) {
+      currentConfig.postLanguageMode = importData.postLanguageMode;
+      updateUI();
+    }
+    
+    // Optionally import hybrid precedence and fallback
+    if (['allow', 'block'].includes(importData.hybridPrecedence)) {
+      currentConfig.hybridPrecedence = importData.hybridPrecedence;
+      updateUI();
+    }
+    
+    if (['show', 'hide'].includes(importData.hybridFallback)) {
+      currentConfig.hybridFallback = importData.hybridFallback;
+      updateUI();
+    }
+    
+    // Optionally import stemming languages
+    if (Array.isArray(importData.stemmingLanguages)) {
+      currentConfig.stemmingLanguages = importedStemmingLanguages;
+      updateUI();
+    }
+    
+    // Optionally import score threshold
+    if (importData.scoreThreshold !== undefined) {
+      currentConfig.scoreThreshold = getScoreThreshold(importData.scoreThreshold);
+      updateUI();
+    }
+    
     await saveCurrentProfile();
     await saveConfig();
     await triggerReprocess();
     
-    showStatusMessage(`Import completed! ${normalizedWords.length} words added to current profile.`, 'success');
+    showStatusMessage(`Import completed! ${normalizedWords.length + importedAllowWords.length} words added to current profile.`, 'success');
     
   } catch (error) {
     console.error('[LinkedIn Filter Popup] Import failed:', error);
@@ -578,25 +1345,30 @@ async function handleFileImport(event) {
 
 /**
  * Parse keywords from textarea input
+ * Regex entries (/pattern/flags) take a whole line so they may contain commas
  */
 function parseKeywords(input) {
   if (!input) return [];
   
   return input
-    .split(/[,\n\r]+/)
+    .split(/[\n\r]+/)
+    .flatMap(line => isRegexKeyword(line) ? [line] : line.split(','))
     .map(word => word.trim())
     .filter(word => word.length > 0);
 }
 
 /**
- * Normalize keywords (lowercase, remove accents, deduplicate)
+ * Normalize keywords (remove accents, deduplicate)
+ * Case is kept so keywords can be made case-sensitive ("AI" vs "ai"); matching
+ * is case-insensitive unless that option is set
+ * Regex entries are kept verbatim since escapes matter there
  */
 function normalizeKeywords(keywords) {
   const normalized = keywords.map(word => 
-    word
-      .toLowerCase()
+    isRegexKeyword(word) ? word.trim() : word
       .normalize('NFD')
       .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC') // Recompose Hangul syllables and other scripts
       .trim()
   ).filter(word => word.length > 0);
   
@@ -604,6 +1376,220 @@ function normalizeKeywords(keywords) {
   return [...new Set(normalized)];
 }
 
+/**
+ * Parse an author list from textarea input (one profile URL or URN per line)
+ */
+function parseAuthorList(input) {
+  if (!input) return [];
+  
+  return input
+    .split(/[\n\r]+/)
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0);
+}
+
+/**
+ * Write author list entries in canonical form, dropping invalid ones and duplicates
+ * @returns {string[]} Canonical entries
+ */
+function normalizeAuthorList(entries) {
+  const normalized = entries.map(normalizeAuthorEntry).filter(Boolean);
+  
+  // Two forms of the same author (URL with and without query string) become one entry
+  const seen = new Set();
+  return normalized.filter(entry => {
+    const key = getAuthorKey(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Get every keyword of the current profile: the main list and the hybrid allow list
+ * Both lists share the per-keyword options
+ * @returns {string[]}
+ */
+function getAllKeywords() {
+  return [...currentConfig.words, ...(currentConfig.allowWords || [])];
+}
+
+/**
+ * Find the first keyword or exception entry the content script could not compile
+ * @returns {{entry: string, message: string}|null} Details of the first invalid entry
+ */
+function findInvalidKeyword(entries) {
+  return findInvalidRegexKeyword(entries) || findInvalidSymbolKeyword(entries);
+}
+
+/**
+ * Drop options of keywords that are no longer in the list, and default ones
+ * Regex, hashtag, mention and emoji entries only keep their weight
+ * @returns {Object} Keyword options keyed by keyword
+ */
+function pruneKeywordOptions(keywordOptions, words) {
+  const pruned = {};
+  
+  words.forEach(word => {
+    const options = getKeywordOptions(word, keywordOptions);
+    options.exceptions = normalizeKeywords(options.exceptions);
+    
+    if (isRegexKeyword(word) || isSymbolKeyword(word)) {
+      options.match = DEFAULT_KEYWORD_OPTIONS.match;
+      options.caseSensitive = DEFAULT_KEYWORD_OPTIONS.caseSensitive;
+    }
+    
+    if (!isDefaultKeywordOptions(options)) {
+      pruned[word] = options;
+    }
+  });
+  
+  return pruned;
+}
+
+/**
+ * Render the match options editor for the saved keywords
+ */
+function renderKeywordOptions() {
+  const list = elements.keywordOptionsList;
+  list.innerHTML = '';
+  
+  const words = [...new Set(getAllKeywords())];
+  
+  if (words.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'keyword-options-empty';
+    empty.textContent = 'Save some keywords to set their match options, weights and exceptions.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  words.forEach(word => {
+    const options = getKeywordOptions(word, currentConfig.keywordOptions);
+    
+    const row = document.createElement('div');
+    row.className = 'keyword-option-row';
+    
+    const label = document.createElement('span');
+    label.className = 'keyword-option-word';
+    label.textContent = word;
+    label.title = word;
+    
+    const weightInput = document.createElement('input');
+    weightInput.type = 'number';
+    weightInput.step = '0.5';
+    weightInput.className = 'keyword-option-weight';
+    weightInput.title = 'Weight added to the post score when this keyword matches (negative to offset other matches)';
+    weightInput.value = options.weight;
+    weightInput.addEventListener('change', () => {
+      const weight = Number(weightInput.value);
+      if (weightInput.value.trim() === '' || !Number.isFinite(weight)) {
+        weightInput.value = options.weight;
+        return;
+      }
+      handleKeywordOptionChange(word, { weight });
+    });
+    
+    const exceptionsInput = document.createElement('input');
+    exceptionsInput.type = 'text';
+    exceptionsInput.className = 'keyword-option-exceptions';
+    exceptionsInput.placeholder = 'unless... (e.g. remote, my company)';
+    exceptionsInput.title = 'Terms that cancel this keyword when they also appear in the post, separated by commas';
+    exceptionsInput.value = options.exceptions.join(', ');
+    exceptionsInput.addEventListener('change', () => {
+      const exceptions = normalizeKeywords(parseKeywords(exceptionsInput.value));
+      const invalidException = findInvalidKeyword(exceptions);
+      if (invalidException) {
+        exceptionsInput.value = options.exceptions.join(', ');
+        showStatusMessage(`Invalid exception ${invalidException.entry}: ${invalidException.message}`, 'error');
+        return;
+      }
+      handleKeywordOptionChange(word, { exceptions });
+    });
+    
+    // Regex, hashtag, mention and emoji entries only have a weight and exceptions
+    if (isRegexKeyword(word) || isSymbolKeyword(word)) {
+      row.append(label, weightInput, exceptionsInput);
+      list.appendChild(row);
+      return;
+    }
+    
+    const matchSelect = document.createElement('select');
+    matchSelect.title = 'How this keyword is matched';
+    Object.entries(KEYWORD_MATCH_TYPES).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      matchSelect.appendChild(option);
+    });
+    matchSelect.value = options.match;
+    matchSelect.addEventListener('change', () => handleKeywordOptionChange(word, { match: matchSelect.value }));
+    
+    const caseLabel = document.createElement('label');
+    caseLabel.className = 'keyword-option-case';
+    caseLabel.title = 'Case-sensitive ("AI" does not match "ai")';
+    const caseCheckbox = document.createElement('input');
+    caseCheckbox.type = 'checkbox';
+    caseCheckbox.checked = options.caseSensitive;
+    caseCheckbox.addEventListener('change', () => handleKeywordOptionChange(word, { caseSensitive: caseCheckbox.checked }));
+    caseLabel.append(caseCheckbox, 'Aa');
+    
+    row.append(label, matchSelect, caseLabel, weightInput, exceptionsInput);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Handle a change in the match options, weight or exceptions of one keyword
+ */
+async function handleKeywordOptionChange(word, changes) {
+  const options = { ...getKeywordOptions(word, currentConfig.keywordOptions), ...changes };
+  
+  currentConfig.keywordOptions = pruneKeywordOptions(
+    { ...(currentConfig.keywordOptions || {}), [word]: options },
+    getAllKeywords()
+  );
+  
+  await applySettingChange(`Options updated for "${word}"`);
+}
+
+/**
+ * Parse rule expressions from textarea input (one rule per line)
+ * @returns {{source: string, line: number, error: string|null}[]} Rules with their textarea line and syntax error
+ */
+function parseRules(input) {
+  if (!input) return [];
+  
+  return input
+    .split(/\r?\n/)
+    .map((line, index) => ({ source: line.trim(), line: index + 1 }))
+    .filter(rule => rule.source.length > 0)
+    .map(rule => {
+      const [error] = validateRuleExpressions([rule.source]);
+      return { ...rule, error: error ? error.message : null };
+    });
+}
+
+/**
+ * Show rule syntax errors under the rules textarea
+ * @returns {boolean} True if there are errors
+ */
+function showRuleErrors(rules) {
+  const invalidRules = rules.filter(rule => rule.error);
+  
+  elements.rulesErrors.innerHTML = '';
+  invalidRules.forEach(rule => {
+    const errorLine = document.createElement('div');
+    errorLine.textContent = `Line ${rule.line}: ${rule.error}`;
+    elements.rulesErrors.appendChild(errorLine);
+  });
+  
+  elements.rulesErrors.style.display = invalidRules.length > 0 ? 'block' : 'none';
+  elements.rulesInput.classList.toggle('invalid', invalidRules.length > 0);
+  
+  return invalidRules.length > 0;
+}
+
 /**
  * Save configuration to storage
  */
@@ -638,17 +1624,31 @@ async function updateHiddenCounter() {
     const activeTab = tabs[0];
     
     if (activeTab?.url?.includes('linkedin.com')) {
-      const response = await chrome.tabs.sendMessage(activeTab.id, { type: 'getCount' });
-      elements.hiddenCount.textContent = response || 0;
+      const response = await chrome.tabs.sendMessage(activeTab.id, { type: 'getCounts' });
+      showHiddenCounts(response?.hidden, response?.promoted, response?.comments);
     } else {
-      elements.hiddenCount.textContent = '-';
+      showHiddenCounts('-');
     }
   } catch (error) {
     console.debug('[LinkedIn Filter Popup] Failed to get count:', error);
-    elements.hiddenCount.textContent = '-';
+    showHiddenCounts('-');
   }
 }
 
+/**
+ * Show the hidden posts counter, with promoted posts and collapsed comments counted apart
+ * @param {number|string} hidden Hidden posts, or '-' when there is no LinkedIn tab
+ * @param {number} [promoted] Promoted posts among them
+ * @param {number} [comments] Collapsed comments
+ */
+function showHiddenCounts(hidden, promoted = 0, comments = 0) {
+  elements.hiddenCount.textContent = hidden || 0;
+  elements.promotedCount.textContent = promoted > 0 ? `${promoted} promoted` : '';
+  elements.promotedCount.style.display = promoted > 0 ? 'block' : 'none';
+  elements.commentCount.textContent = comments > 0 ? `${comments} comments` : '';
+  elements.commentCount.style.display = comments > 0 ? 'block' : 'none';
+}
+
 /**
  * Set up periodic counter updates
  */
@@ -664,11 +1664,48 @@ function setupCounterUpdates() {
   // Listen for count updates from content script
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'count') {
-      elements.hiddenCount.textContent = message.value || 0;
+      showHiddenCounts(message.value, message.promoted, message.comments);
     }
   });
 }
 
+/**
+ * Keep the muted authors of the loaded profiles in step with storage
+ * The content script adds authors muted from a post's menu straight to storage; without this,
+ * the next save from the popup would write its older copy of the profiles over them
+ */
+function setupMutedAuthorSync() {
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace !== 'local' || !changes.profiles || !changes.profiles.newValue) return;
+    
+    Object.entries(changes.profiles.newValue).forEach(([profileId, storedProfile]) => {
+      if (!profiles[profileId] || arraysEqual(storedProfile.mutedAuthors || [], profiles[profileId].mutedAuthors || [])) return;
+      
+      const previousKeys = buildAuthorKeySet(profiles[profileId].mutedAuthors);
+      profiles[profileId].mutedAuthors = storedProfile.mutedAuthors || [];
+      
+      if (profileId === currentProfileId) {
+        const editedAuthors = parseAuthorList(elements.mutedAuthorsInput.value);
+        const hasEdits = !arraysEqual(editedAuthors, currentConfig.mutedAuthors || []);
+        currentConfig.mutedAuthors = profiles[profileId].mutedAuthors;
+        
+        if (!hasEdits) {
+          elements.mutedAuthorsInput.value = currentConfig.mutedAuthors.join('\n');
+          return;
+        }
+        
+        // Unsaved edits are kept, with the newly muted authors added so the next save keeps them too
+        const editedKeys = buildAuthorKeySet(editedAuthors);
+        const newlyMuted = currentConfig.mutedAuthors.filter(entry =>
+          !previousKeys.has(getAuthorKey(entry)) && !editedKeys.has(getAuthorKey(entry)));
+        if (newlyMuted.length > 0) {
+          elements.mutedAuthorsInput.value = [...editedAuthors, ...newlyMuted].join('\n');
+        }
+      }
+    });
+  });
+}
+
 /**
  * Show status message
  */
@@ -0,0 +1,89 @@
+/**
+ * LinkedIn Keyword Filter - Author Lists
+ * Helpers shared by the popup and the content script for muted and always-shown authors
+ * Entries are profile/page URLs ("https://www.linkedin.com/in/jane-doe") or URNs
+ * ("urn:li:fsd_profile:ACoAAB..."), compared through a key so both forms of the same
+ * author match
+ */
+
+// Paths of pages that can author posts
+const AUTHOR_PATH_REGEX = /(?:^|\/)(in|company|school|showcase)\/([^/?#\s]+)/i;
+
+// URN types naming people and organizations; the id is shared between their variants
+const PERSON_URN_TYPES = ['member', 'person', 'fsd_profile', 'fs_profile', 'fs_miniprofile'];
+const COMPANY_URN_TYPES = ['company', 'organization', 'fsd_company', 'fs_minicompany', 'fs_normalized_company'];
+
+/**
+ * Get the comparison key of an author URL, path or URN
+ * @param {string} value Author list entry, actor link or URN
+ * @returns {string|null} Key such as "in/jane-doe" or "person:ACoAAB...", or null if unrecognized
+ */
+function getAuthorKey(value) {
+  if (typeof value !== 'string') return null;
+  
+  const trimmed = value.trim();
+  
+  const urn = trimmed.match(/^urn:li:([a-z_]+):([^\s,()]+)$/i);
+  if (urn) {
+    const type = urn[1].toLowerCase();
+    if (PERSON_URN_TYPES.includes(type)) return `person:${urn[2]}`;
+    if (COMPANY_URN_TYPES.includes(type)) return `company:${urn[2]}`;
+    return trimmed.toLowerCase();
+  }
+  
+  // Only linkedin.com URLs, or bare paths like "in/jane-doe"
+  if (/^https?:\/\//i.test(trimmed) && !/^https?:\/\/([a-z0-9-]+\.)*linkedin\.com\//i.test(trimmed)) {
+    return null;
+  }
+  
+  const path = trimmed.match(AUTHOR_PATH_REGEX);
+  if (!path) return null;
+  
+  let slug = path[2];
+  try {
+    slug = decodeURIComponent(slug);
+  } catch (error) {
+    // Keep malformed escapes as written
+  }
+  
+  return `${path[1].toLowerCase()}/${slug.toLowerCase()}`;
+}
+
+/**
+ * Write an author list entry in canonical form
+ * URLs lose their query string and trailing slash; URNs are kept as written
+ * @param {string} entry Author list entry
+ * @returns {string|null} Canonical entry, or null if it is not an author URL or URN
+ */
+function normalizeAuthorEntry(entry) {
+  const key = getAuthorKey(entry);
+  if (!key) return null;
+  
+  const trimmed = entry.trim();
+  if (/^urn:/i.test(trimmed)) return trimmed;
+  
+  const [section, slug] = key.split('/');
+  return `https://www.linkedin.com/${section}/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Find the first entry of an author list that is not a profile/page URL or URN
+ * @param {string[]} entries Author list entries
+ * @returns {{entry: string, message: string}|null} Details of the first invalid entry
+ */
+function findInvalidAuthorEntry(entries) {
+  const entry = entries.find(candidate => getAuthorKey(candidate) === null);
+  
+  return entry === undefined
+    ? null
+    : { entry, message: 'Use a LinkedIn profile or page URL (linkedin.com/in/..., /company/...) or a URN' };
+}
+
+/**
+ * Build the set of keys of an author list
+ * @param {string[]} [entries] Author list entries
+ * @returns {Set<string>}
+ */
+function buildAuthorKeySet(entries = []) {
+  return new Set(entries.map(getAuthorKey).filter(Boolean));
+}
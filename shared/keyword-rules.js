@@ -0,0 +1,307 @@
+/**
+ * LinkedIn Keyword Filter - Keyword Rules
+ * Helpers shared by the popup and the content script for parsing keyword list entries
+ */
+
+// Flags a regex rule may carry; matching is always case-insensitive
+const REGEX_RULE_ALLOWED_FLAGS = 'imsu';
+
+/**
+ * Check if a keyword list entry is a slash-delimited regular expression
+ * @param {string} entry Raw keyword list entry, e.g. "/hiring.*(remote|hybrid)/"
+ * @returns {boolean}
+ */
+function isRegexKeyword(entry) {
+  return typeof entry === 'string' && /^\/.+\/[a-z]*$/.test(entry.trim());
+}
+
+/**
+ * Split a slash-delimited regex entry into pattern source and flags
+ * Throws when the entry is not a valid regular expression
+ * @param {string} entry Raw keyword list entry
+ * @returns {{source: string, flags: string}}
+ */
+function parseRegexKeyword(entry) {
+  const trimmed = entry.trim();
+  const lastSlash = trimmed.lastIndexOf('/');
+  const source = trimmed.slice(1, lastSlash);
+  const flags = trimmed.slice(lastSlash + 1);
+  
+  const invalidFlag = Array.from(flags).find(flag => !REGEX_RULE_ALLOWED_FLAGS.includes(flag));
+  if (invalidFlag) {
+    throw new Error(`Unsupported flag "${invalidFlag}" (allowed: ${REGEX_RULE_ALLOWED_FLAGS})`);
+  }
+  
+  const effectiveFlags = flags.includes('i') ? flags : flags + 'i';
+  
+  // Let the engine report syntax errors (unterminated group, bad escape, ...)
+  new RegExp(source, effectiveFlags);
+  
+  return { source, flags: effectiveFlags };
+}
+
+/**
+ * Compile a slash-delimited regex entry
+ * @param {string} entry Raw keyword list entry
+ * @returns {RegExp} Case-insensitive regex
+ */
+function compileRegexKeyword(entry) {
+  const { source, flags } = parseRegexKeyword(entry);
+  return new RegExp(source, flags);
+}
+
+/**
+ * Find the first invalid regex entry in a keyword list
+ * @param {string[]} entries Raw keyword list entries
+ * @returns {{entry: string, message: string}|null} Details of the first invalid entry
+ */
+function findInvalidRegexKeyword(entries) {
+  for (const entry of entries) {
+    if (!isRegexKeyword(entry)) continue;
+    
+    try {
+      parseRegexKeyword(entry);
+    } catch (error) {
+      return { entry, message: error.message };
+    }
+  }
+  
+  return null;
+}
+
+// How a plain keyword is compared with the words of a post
+const KEYWORD_MATCH_TYPES = {
+  word: 'Whole word',
+  prefix: 'Prefix',
+  substring: 'Substring'
+};
+
+const DEFAULT_KEYWORD_OPTIONS = {
+  match: 'word',
+  caseSensitive: false,
+  weight: 1
+};
+
+// Score a post needs to count as a match; with every weight at 1 any match is enough
+const DEFAULT_SCORE_THRESHOLD = 1;
+
+/**
+ * Get the options of a keyword, filling in defaults
+ * Exceptions are terms that cancel the keyword when they also appear in the post
+ * ("vaga" unless "remote"); they are written like keyword list entries
+ * @param {string} keyword Keyword list entry
+ * @param {Object} [keywordOptions] Per-keyword options of the profile, keyed by entry
+ * @returns {{match: string, caseSensitive: boolean, weight: number, exceptions: string[]}}
+ */
+function getKeywordOptions(keyword, keywordOptions) {
+  const options = { ...DEFAULT_KEYWORD_OPTIONS, ...(keywordOptions && keywordOptions[keyword]) };
+  
+  if (!KEYWORD_MATCH_TYPES[options.match]) {
+    options.match = DEFAULT_KEYWORD_OPTIONS.match;
+  }
+  
+  if (typeof options.weight !== 'number' || !Number.isFinite(options.weight)) {
+    options.weight = DEFAULT_KEYWORD_OPTIONS.weight;
+  }
+  
+  options.exceptions = Array.isArray(options.exceptions)
+    ? options.exceptions.filter(term => typeof term === 'string' && term.trim().length > 0)
+    : [];
+  
+  return options;
+}
+
+/**
+ * Check if keyword options are the defaults (whole word, case-insensitive, weight 1, no exceptions)
+ * @param {{match: string, caseSensitive: boolean, weight: number, exceptions: string[]}} options
+ * @returns {boolean}
+ */
+function isDefaultKeywordOptions(options) {
+  return Object.keys(DEFAULT_KEYWORD_OPTIONS).every(key => options[key] === DEFAULT_KEYWORD_OPTIONS[key]) &&
+    (!options.exceptions || options.exceptions.length === 0);
+}
+
+/**
+ * Collect every exception term of a profile: its own and those attached to keywords
+ * @param {string[]} words Keyword list entries
+ * @param {Object} [keywordOptions] Per-keyword options of the profile
+ * @param {string[]} [profileExceptions] Terms that keep any post visible
+ * @returns {string[]} Unique exception terms
+ */
+function collectExceptionTerms(words, keywordOptions, profileExceptions = []) {
+  const terms = new Set(profileExceptions);
+  
+  words.forEach(word => {
+    getKeywordOptions(word, keywordOptions).exceptions.forEach(term => terms.add(term));
+  });
+  
+  return Array.from(terms);
+}
+
+/**
+ * Check if a keyword is matched the default way (whole word, case-insensitive, stemmed)
+ * The weight does not change how a keyword is matched, only what a match is worth
+ * @param {{match: string, caseSensitive: boolean}} options
+ * @returns {boolean}
+ */
+function usesDefaultMatching(options) {
+  return options.match === DEFAULT_KEYWORD_OPTIONS.match && options.caseSensitive === DEFAULT_KEYWORD_OPTIONS.caseSensitive;
+}
+
+/**
+ * Get the score threshold of a profile, falling back to the default for missing or invalid values
+ * @param {number} [threshold] Profile setting
+ * @returns {number} Positive threshold
+ */
+function getScoreThreshold(threshold) {
+  return typeof threshold === 'number' && Number.isFinite(threshold) && threshold > 0
+    ? threshold
+    : DEFAULT_SCORE_THRESHOLD;
+}
+
+// Emoji: a pictograph with its variation selectors, skin tones and ZWJ sequence (👨‍💻 is one emoji), or a flag
+const EMOJI_REGEX = /\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]*(?:\u200D\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]*)*|\p{Regional_Indicator}{2}/gu;
+
+// Social counts engagement conditions compare, and "comments/reactions" for their ratio
+const ENGAGEMENT_METRICS = ['reactions', 'comments', 'reposts', 'comments/reactions'];
+const ENGAGEMENT_CONDITION_REGEX = /^(reactions|comments|reposts|comments\/reactions)(>=|<=|>|<|=)(\d+(?:\.\d+)?)(k|m)?$/i;
+
+// Host name of a domain rule: dot-separated labels ending in a top-level domain
+const DOMAIN_NAME_REGEX = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z][a-z0-9-]*[a-z0-9]$/;
+
+/**
+ * Parse a hashtag, mention, emoji or link domain entry of a keyword list or rule
+ *   #opentowork          hashtag
+ *   @acme                mention
+ *   🚀🔥                 emoji (all of them must appear in the post)
+ *   emoji>30%            emoji density above 30%
+ *   domain:lnkd.in       post links to that host (with or without "www.")
+ *   domain:*.medium.com  post links to that domain or any subdomain
+ *   reactions>2k         social counts: reactions, comments, reposts or comments/reactions
+ *                        compared with >, <, >=, <= or = (k and m multiply by 1,000 and 1,000,000)
+ * These are matched against the raw post text, links and social counts since normalization strips them
+ * @param {string} entry Raw keyword list entry
+ * @returns {{type: string, value: (string|string[]|number), subdomains?: boolean}|null} Symbol rule,
+ *   or null for other entries
+ */
+function parseSymbolKeyword(entry) {
+  if (typeof entry !== 'string') return null;
+  
+  const trimmed = entry.trim();
+  
+  const hashtag = trimmed.match(/^#([\p{L}\p{M}\p{N}_]+)$/u);
+  if (hashtag) {
+    return { type: 'hashtag', value: hashtag[1] };
+  }
+  
+  const mention = trimmed.match(/^@([\p{L}\p{M}\p{N}_.-]+)$/u);
+  if (mention) {
+    return { type: 'mention', value: mention[1] };
+  }
+  
+  const domain = trimmed.match(/^domain:(\*\.)?(.*)$/i);
+  if (domain) {
+    return { type: 'domain', value: domain[2].trim().toLowerCase().replace(/^www\./, ''), subdomains: Boolean(domain[1]) };
+  }
+  
+  const engagement = trimmed.replace(/\s+/g, '').match(ENGAGEMENT_CONDITION_REGEX);
+  if (engagement) {
+    const multiplier = { k: 1000, m: 1000000 }[(engagement[4] || '').toLowerCase()] || 1;
+    return {
+      type: 'engagement',
+      metric: engagement[1].toLowerCase(),
+      operator: engagement[2],
+      value: Number(engagement[3]) * multiplier
+    };
+  }
+  
+  const density = trimmed.match(/^emoji\s*>\s*(\d+(?:\.\d+)?)\s*%$/i);
+  if (density) {
+    return { type: 'emojiDensity', value: Number(density[1]) };
+  }
+  
+  const emoji = trimmed.match(EMOJI_REGEX);
+  if (emoji && trimmed.replace(EMOJI_REGEX, '').trim() === '') {
+    return { type: 'emoji', value: emoji.map(normalizeEmoji) };
+  }
+  
+  return null;
+}
+
+/**
+ * Check if a keyword list entry is a hashtag, mention, emoji or domain rule
+ * @param {string} entry Raw keyword list entry
+ * @returns {boolean}
+ */
+function isSymbolKeyword(entry) {
+  return parseSymbolKeyword(entry) !== null;
+}
+
+/**
+ * Find the first symbol entry that cannot match anything (emoji density above 100%, malformed domain)
+ * @param {string[]} entries Raw keyword list entries
+ * @returns {{entry: string, message: string}|null} Details of the first invalid entry
+ */
+function findInvalidSymbolKeyword(entries) {
+  for (const entry of entries) {
+    const symbolRule = parseSymbolKeyword(entry);
+    
+    if (symbolRule && symbolRule.type === 'emojiDensity' && symbolRule.value >= 100) {
+      return { entry, message: 'Emoji density must be below 100%' };
+    }
+    
+    if (symbolRule && symbolRule.type === 'domain' && !DOMAIN_NAME_REGEX.test(symbolRule.value)) {
+      return { entry, message: 'Write domains as domain:example.com or domain:*.example.com' };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Compare a social count with an engagement condition
+ * @param {number} count Reactions, comments, reposts or their ratio
+ * @param {{operator: string, value: number}} condition Engagement rule from parseSymbolKeyword
+ * @returns {boolean}
+ */
+function compareEngagement(count, condition) {
+  switch (condition.operator) {
+    case '>': return count > condition.value;
+    case '<': return count < condition.value;
+    case '>=': return count >= condition.value;
+    case '<=': return count <= condition.value;
+    default: return count === condition.value;
+  }
+}
+
+/**
+ * Drop variation selectors and skin tones so "👍🏽" and "👍" compare equal
+ * @param {string} emoji
+ * @returns {string}
+ */
+function normalizeEmoji(emoji) {
+  return emoji.replace(/[\uFE0F\p{Emoji_Modifier}]/gu, '');
+}
+
+/**
+ * Find the emoji of a text
+ * @param {string} text Raw text
+ * @returns {string[]} Normalized emoji in text order
+ */
+function findEmoji(text) {
+  return (text.match(EMOJI_REGEX) || []).map(normalizeEmoji);
+}
+
+/**
+ * Share of emoji among the words and emoji of a text
+ * "Hiring now 🚀🔥👇" has 2 words and 3 emoji, so 60%
+ * @param {string} text Raw text
+ * @returns {number} Percentage from 0 to 100
+ */
+function getEmojiDensity(text) {
+  const emojiCount = findEmoji(text).length;
+  if (emojiCount === 0) return 0;
+  
+  const wordCount = (text.replace(EMOJI_REGEX, ' ').match(/[\p{L}\p{N}]+/gu) || []).length;
+  return emojiCount / (emojiCount + wordCount) * 100;
+}
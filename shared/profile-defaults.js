@@ -0,0 +1,21 @@
+/**
+ * LinkedIn Keyword Filter - Profile Defaults
+ * Settings a profile falls back to when it was saved before they existed,
+ * shared by the popup and the content script
+ */
+
+// Languages keywords are stemmed in
+const DEFAULT_STEMMING_LANGUAGES = ['en', 'pt'];
+
+// Hybrid mode: which list is checked first, and what happens to posts neither list matches
+const DEFAULT_HYBRID_PRECEDENCE = 'allow';
+const DEFAULT_HYBRID_FALLBACK = 'show';
+
+// Whether the content types of a profile are hidden ('hide') or the only ones shown ('only')
+const DEFAULT_CONTENT_TYPE_MODE = 'hide';
+
+// Whether the post languages of a profile are hidden ('hide') or the only ones shown ('only')
+const DEFAULT_POST_LANGUAGE_MODE = 'hide';
+
+// Which part of a repost rules apply to: 'both', 'commentary' or 'original'
+const DEFAULT_REPOST_SCOPE = 'both';
@@ -0,0 +1,296 @@
+/**
+ * LinkedIn Keyword Filter - Rule Expressions
+ * Parser and evaluator for boolean rules such as:
+ *   hiring AND NOT remote
+ *   (vaga OR "job opening") AND NOT "my company"
+ *   rust NEAR/3 performance
+ *   #hiring AND emoji>30%
+ * Shared by the popup (validation) and the content script (evaluation)
+ */
+
+// Proximity used by a bare NEAR without "/n"
+const DEFAULT_NEAR_DISTANCE = 5;
+
+/**
+ * Split a rule into tokens
+ * @param {string} input Rule source
+ * @returns {Object[]} Tokens with type, value and 1-based column
+ */
+function tokenizeRuleExpression(input) {
+  const tokens = [];
+  let index = 0;
+  
+  while (index < input.length) {
+    const char = input[index];
+    const column = index + 1;
+    
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+    
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, column });
+      index++;
+      continue;
+    }
+    
+    // Quoted phrase: "open to work"
+    if (char === '"') {
+      const end = input.indexOf('"', index + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated quote at column ${column}`);
+      }
+      
+      const value = input.slice(index + 1, end).trim();
+      if (!value) {
+        throw new Error(`Empty phrase at column ${column}`);
+      }
+      
+      tokens.push({ type: 'term', kind: 'phrase', value, column });
+      index = end + 1;
+      continue;
+    }
+    
+    // Regular expression: /pattern/flags (slashes inside [...] or escaped do not close it)
+    if (char === '/') {
+      let end = index + 1;
+      let inClass = false;
+      
+      while (end < input.length) {
+        if (input[end] === '\\') {
+          end += 2;
+          continue;
+        }
+        if (input[end] === '[') inClass = true;
+        if (input[end] === ']') inClass = false;
+        if (input[end] === '/' && !inClass) break;
+        end++;
+      }
+      
+      if (end >= input.length) {
+        throw new Error(`Unterminated regular expression at column ${column}`);
+      }
+      
+      const flags = input.slice(end + 1).match(/^[a-z]*/)[0];
+      const value = input.slice(index, end + 1 + flags.length);
+      
+      try {
+        parseRegexKeyword(value);
+      } catch (error) {
+        throw new Error(`Invalid regular expression at column ${column}: ${error.message}`);
+      }
+      
+      tokens.push({ type: 'term', kind: 'regex', value, column });
+      index = end + 1 + flags.length;
+      continue;
+    }
+    
+    // Bare word or operator
+    let end = index;
+    while (end < input.length && !/[\s()"]/.test(input[end])) {
+      end++;
+    }
+    
+    const word = input.slice(index, end);
+    const nearMatch = word.match(/^NEAR(?:\/(.*))?$/);
+    
+    if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word, column });
+    } else if (nearMatch) {
+      const distance = nearMatch[1] === undefined ? DEFAULT_NEAR_DISTANCE : Number(nearMatch[1]);
+      
+      if (!Number.isInteger(distance) || distance < 0) {
+        throw new Error(`Invalid NEAR distance "${nearMatch[1]}" at column ${column}`);
+      }
+      
+      tokens.push({ type: 'NEAR', distance, column });
+    } else if (isSymbolKeyword(word)) {
+      // Hashtag, mention or emoji term: #opentowork, @acme, 🚀, emoji>30%
+      const invalidSymbol = findInvalidSymbolKeyword([word]);
+      if (invalidSymbol) {
+        throw new Error(`${invalidSymbol.message} at column ${column}`);
+      }
+      
+      tokens.push({ type: 'term', kind: 'symbol', value: word, column });
+    } else {
+      tokens.push({ type: 'term', kind: 'word', value: word, column });
+    }
+    
+    index = end;
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parse a rule into an expression tree
+ * Precedence (highest first): NEAR, NOT, AND, OR. Operators are upper case.
+ * Throws an Error with a column-aware message on syntax errors
+ * @param {string} input Rule source
+ * @returns {Object} Root expression node
+ */
+function parseRuleExpression(input) {
+  const tokens = tokenizeRuleExpression(input || '');
+  let position = 0;
+  
+  if (tokens.length === 0) {
+    throw new Error('Empty rule');
+  }
+  
+  const peek = () => tokens[position];
+  const describe = token => token ? `"${token.value || token.type}" at column ${token.column}` : 'end of rule';
+  
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+  
+  function parseAnd() {
+    let node = parseNot();
+    while (peek() && peek().type === 'AND') {
+      position++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+  
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseNear();
+  }
+  
+  function parseNear() {
+    const left = parsePrimary();
+    
+    if (peek() && peek().type === 'NEAR') {
+      const operator = tokens[position++];
+      const right = parsePrimary();
+      
+      if (!isProximityOperand(left) || !isProximityOperand(right)) {
+        throw new Error(`NEAR at column ${operator.column} only accepts words or quoted phrases`);
+      }
+      
+      return { type: 'near', left, right, distance: operator.distance };
+    }
+    
+    return left;
+  }
+  
+  function parsePrimary() {
+    const token = peek();
+    
+    if (!token) {
+      throw new Error('Unexpected end of rule, expected a term');
+    }
+    
+    if (token.type === 'term') {
+      position++;
+      return { type: 'term', kind: token.kind, value: token.value };
+    }
+    
+    if (token.type === '(') {
+      position++;
+      const node = parseOr();
+      
+      if (!peek() || peek().type !== ')') {
+        throw new Error(`Missing ")" for "(" at column ${token.column}`);
+      }
+      
+      position++;
+      return node;
+    }
+    
+    throw new Error(`Expected a term but found ${describe(token)}`);
+  }
+  
+  const root = parseOr();
+  
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}, use AND/OR between terms`);
+  }
+  
+  return root;
+}
+
+/**
+ * Check if a node can be an operand of NEAR
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function isProximityOperand(node) {
+  return node.type === 'term' && (node.kind === 'word' || node.kind === 'phrase');
+}
+
+/**
+ * Validate a list of rules
+ * @param {string[]} rules Rule sources, one per line
+ * @returns {{line: number, rule: string, message: string}[]} Errors with 1-based line numbers
+ */
+function validateRuleExpressions(rules) {
+  const errors = [];
+  
+  rules.forEach((rule, index) => {
+    try {
+      parseRuleExpression(rule);
+    } catch (error) {
+      errors.push({ line: index + 1, rule, message: error.message });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Collect all term nodes of an expression tree
+ * @param {Object} node
+ * @param {Object[]} [terms] Accumulator
+ * @returns {Object[]} Term nodes
+ */
+function collectRuleTerms(node, terms = []) {
+  switch (node.type) {
+    case 'term':
+      terms.push(node);
+      break;
+    case 'not':
+      collectRuleTerms(node.operand, terms);
+      break;
+    default:
+      collectRuleTerms(node.left, terms);
+      collectRuleTerms(node.right, terms);
+  }
+  
+  return terms;
+}
+
+/**
+ * Evaluate an expression tree
+ * @param {Object} node Expression node from parseRuleExpression
+ * @param {Object} context Term lookups for the post being evaluated
+ * @param {function(Object): boolean} context.matchesTerm Whether a term node occurs in the post
+ * @param {function(Object, Object, number): boolean} context.termsNear Whether two term nodes occur within a word distance
+ * @returns {boolean}
+ */
+function evaluateRuleExpression(node, context) {
+  switch (node.type) {
+    case 'term':
+      return context.matchesTerm(node);
+    case 'not':
+      return !evaluateRuleExpression(node.operand, context);
+    case 'and':
+      return evaluateRuleExpression(node.left, context) && evaluateRuleExpression(node.right, context);
+    case 'or':
+      return evaluateRuleExpression(node.left, context) || evaluateRuleExpression(node.right, context);
+    case 'near':
+      return context.termsNear(node.left, node.right, node.distance);
+    default:
+      return false;
+  }
+}